@@ -0,0 +1,147 @@
+/**
+ * Claude Token Monitor – Poll pausing
+ *
+ * Tells the indicator when polling is pointless: while the machine is
+ * offline (Gio.NetworkMonitor), about to suspend (logind PrepareForSleep)
+ * or the user has been idle for `pause-after-idle` minutes – or was paused
+ * from the menu until `paused-until`, which survives a shell restart. The
+ * indicator stops its timer while paused and refreshes right away once the
+ * pause ends (reconnect, resume, the user coming back or the pause running
+ * out).
+ *
+ * The screen lock needs no watch: the extension does not declare the
+ * unlock-dialog session mode, so the shell disables it while locked and the
+ * fresh indicator polls on unlock.
+ */
+
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+
+// ─── Constants ───────────────────────────────────────────────────────────────
+
+/** Pause reasons, most significant first */
+const REASONS = ['paused', 'suspended', 'offline', 'idle'];
+
+// ─── Monitor ─────────────────────────────────────────────────────────────────
+
+export class ActivityMonitor {
+    /**
+     * @param {Gio.Settings} settings
+     * @param {function(string|null)} onChanged – called with the new pause
+     *   reason whenever it changes; null means polling may run
+     */
+    constructor(settings, onChanged) {
+        this._settings  = settings;
+        this._onChanged = () => {};    // the initial state is read via .reason
+        this._active    = new Set();   // reasons that currently apply
+        this._reason    = null;
+
+        // Network
+        this._network = Gio.NetworkMonitor.get_default();
+        this._networkId = this._network.connect('network-changed', () => this._syncNetwork());
+        this._syncNetwork();
+
+        // Suspend / resume
+        this._sleepId = Gio.DBus.system.signal_subscribe(
+            'org.freedesktop.login1', 'org.freedesktop.login1.Manager', 'PrepareForSleep',
+            '/org/freedesktop/login1', null, Gio.DBusSignalFlags.NONE,
+            (_conn, _sender, _path, _iface, _signal, params) => {
+                const [sleeping] = params.deepUnpack();
+                this._set('suspended', sleeping);
+            });
+
+        // Idle
+        this._idleMonitor = global.backend.get_core_idle_monitor();
+        this._idleWatchId   = 0;
+        this._activeWatchId = 0;
+        this._addIdleWatch();
+
+        // Paused from the menu
+        this._pauseTimerId = 0;
+        this._syncUserPause();
+
+        this._settingsChangedIds = [
+            this._settings.connect('changed::pause-after-idle', () => this._addIdleWatch()),
+            this._settings.connect('changed::paused-until', () => this._syncUserPause()),
+        ];
+        this._onChanged = onChanged;
+    }
+
+    /** Why polling is paused, or null when it may run */
+    get reason() {
+        return this._reason;
+    }
+
+    // ── Sources ──────────────────────────────────────────────────────────────
+
+    _syncNetwork() {
+        this._set('offline', !this._network.network_available);
+    }
+
+    /** (Re)arms the idle watch for the current `pause-after-idle`. */
+    _addIdleWatch() {
+        this._removeIdleWatches();
+        this._set('idle', false);
+
+        const minutes = this._settings.get_int('pause-after-idle');
+        if (minutes <= 0) return;
+
+        this._idleWatchId = this._idleMonitor.add_idle_watch(minutes * 60 * 1000, () => {
+            this._set('idle', true);
+            // One-shot: fires on the next input event
+            this._activeWatchId = this._idleMonitor.add_user_active_watch(() => {
+                this._activeWatchId = 0;
+                this._set('idle', false);
+            });
+        });
+    }
+
+    /** Applies `paused-until` and ends the pause when it runs out. */
+    _syncUserPause() {
+        if (this._pauseTimerId) GLib.source_remove(this._pauseTimerId);
+        this._pauseTimerId = 0;
+
+        const left = this._settings.get_int64('paused-until') - Date.now();
+        this._set('paused', left > 0);
+        if (left <= 0) return;
+        this._pauseTimerId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, Math.ceil(left / 1000), () => {
+            this._pauseTimerId = 0;
+            this._syncUserPause();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    _removeIdleWatches() {
+        for (const id of [this._idleWatchId, this._activeWatchId]) {
+            if (id) this._idleMonitor.remove_watch(id);
+        }
+        this._idleWatchId   = 0;
+        this._activeWatchId = 0;
+    }
+
+    // ── State ────────────────────────────────────────────────────────────────
+
+    _set(reason, applies) {
+        if (applies) {
+            this._active.add(reason);
+        } else {
+            this._active.delete(reason);
+        }
+
+        const next = REASONS.find(r => this._active.has(r)) ?? null;
+        if (next === this._reason) return;
+        this._reason = next;
+        this._onChanged(next);
+    }
+
+    destroy() {
+        this._removeIdleWatches();
+        if (this._pauseTimerId) GLib.source_remove(this._pauseTimerId);
+        this._network.disconnect(this._networkId);
+        Gio.DBus.system.signal_unsubscribe(this._sleepId);
+        for (const id of this._settingsChangedIds) {
+            this._settings.disconnect(id);
+        }
+        this._settingsChangedIds = [];
+    }
+}
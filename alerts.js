@@ -0,0 +1,59 @@
+/**
+ * Claude Token Monitor – Threshold and reset detection
+ *
+ * Decides, for notifications.js, which alert one fresh reading of a quota
+ * calls for. The state kept per quota is what `notify-state` stores:
+ *
+ *   {"notified": 80, "depleted": false, "used": N, "reset": "2026-…"}
+ *
+ * A new period starts when the reset time moves forward or usage drops; the
+ * highest threshold notified and the depleted flag start over with it.
+ *
+ * Kept apart from the notifier so the tests can run it without GNOME Shell.
+ */
+
+// ─── Constants ───────────────────────────────────────────────────────────────
+
+const RESET_SLACK_MS = 60 * 1000; // reset times may jitter between polls
+
+// ─── Detection ───────────────────────────────────────────────────────────────
+
+/**
+ * Advances one quota's state by a fresh reading.
+ *
+ * @param {object|undefined} st – the quota's previous state, if any
+ * @param {{used: number, limit: number, reset: string|null}} q – limit > 0
+ * @param {number[]} thresholds – percentages, ascending
+ * @returns {{state: object, threshold: number|null, reset: boolean}}
+ *   state – to keep for the next reading; threshold – the highest one
+ *   crossed since the last notification, null if none; reset – a period
+ *   that had reached the limit ended
+ */
+export function advance(st, q, thresholds) {
+    const pct = q.used / q.limit * 100;
+
+    let reset = false;
+    if (st && _isNewPeriod(st, q.used, q.reset)) {
+        reset = st.depleted;
+        st = null;
+    }
+    const state = {notified: 0, depleted: false, ...st};
+
+    const crossed = thresholds.filter(t => pct >= t && t > state.notified);
+    const threshold = crossed.length > 0 ? crossed[crossed.length - 1] : null;
+    if (threshold !== null) state.notified = threshold;
+
+    state.depleted = state.depleted || pct >= 100;
+    state.used  = q.used;
+    state.reset = q.reset;
+    return {state, threshold, reset};
+}
+
+/** A quota started a new period if its reset moved forward or usage dropped */
+function _isNewPeriod(st, used, reset) {
+    if (used < st.used) return true;
+    const before = Date.parse(st.reset ?? '');
+    const now    = Date.parse(reset ?? '');
+    return Number.isFinite(before) && Number.isFinite(now) &&
+        now > before + RESET_SLACK_MS;
+}
@@ -0,0 +1,245 @@
+/**
+ * Claude Token Monitor – Anthropic API usage provider
+ *
+ * For teams billed through the Anthropic API console rather than a claude.ai
+ * subscription. Reads the organization's usage and cost reports with an
+ * Admin API key (kept in the keyring, see credentials.js) and reports this
+ * month's spend against the `api-monthly-budget`, plus the tokens of today
+ * and of this month. Days and months are UTC, like the reports' buckets.
+ *
+ * poll() answers with one result for the pseudo-org API_ORG_ID. The org
+ * name is looked up once per key and the reports are refreshed at most every
+ * REPORT_REFRESH_MS, however often the indicator polls.
+ */
+
+import * as Client from './client.js';
+
+// ─── Constants ───────────────────────────────────────────────────────────────
+
+export const API_ORG_ID = 'api';
+
+const MAX_PAGES = 10;   // a month of daily buckets fits in one or two pages
+
+/**
+ * The reports change in daily buckets and the endpoints are rate-limited,
+ * so however often the indicator polls they are fetched at most this often.
+ */
+const REPORT_REFRESH_MS = 10 * 60 * 1000;
+
+// ─── Reports ─────────────────────────────────────────────────────────────────
+
+/** Start of the UTC month of `now`, epoch ms */
+export function monthStart(now) {
+    const d = new Date(now);
+    return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1);
+}
+
+/** Adds one usage report result (grouped by model) to a breakdown row */
+function _addResult(rows, r) {
+    const name = r.model ?? 'unknown';
+    const row = rows.get(name) ?? {name, input: 0, output: 0, cacheRead: 0, cacheWrite: 0};
+    row.input      += r.uncached_input_tokens ?? 0;
+    row.output     += r.output_tokens ?? 0;
+    row.cacheRead  += r.cache_read_input_tokens ?? 0;
+    row.cacheWrite += (r.cache_creation?.ephemeral_5m_input_tokens ?? 0) +
+        (r.cache_creation?.ephemeral_1h_input_tokens ?? 0);
+    rows.set(name, row);
+}
+
+function _rowTokens(row) {
+    return row.input + row.output + row.cacheRead + row.cacheWrite;
+}
+
+/**
+ * Adds up the daily buckets of the usage and cost reports, as requested
+ * from the start of the month.
+ *
+ * @param {object[]} usageBuckets – `data` of usage_report/messages
+ * @param {object[]} costBuckets – `data` of cost_report
+ * @param {number} now – epoch ms, picks today's bucket
+ * @returns {{tokensToday: number, tokensMonth: number, spendMonth: number,
+ *   modelsToday: object[], modelsMonth: object[]}} spend in US dollars; the
+ *   model rows as in local.js breakdown()
+ */
+export function summarizeReports(usageBuckets, costBuckets, now) {
+    const today = new Date(now).toISOString().slice(0, 10);
+
+    const month = new Map();
+    const day   = new Map();
+    for (const bucket of usageBuckets) {
+        const isToday = String(bucket.starting_at).startsWith(today);
+        for (const r of bucket.results ?? []) {
+            _addResult(month, r);
+            if (isToday) _addResult(day, r);
+        }
+    }
+    const modelsMonth = [...month.values()];
+    const modelsToday = [...day.values()];
+    const sum = rows => rows.reduce((t, row) => t + _rowTokens(row), 0);
+
+    // Amounts are decimal strings in cents
+    let cents = 0;
+    for (const bucket of costBuckets) {
+        for (const r of bucket.results ?? []) {
+            if ((r.currency ?? 'USD') !== 'USD') continue;
+            const amount = parseFloat(r.amount);
+            if (Number.isFinite(amount)) cents += amount;
+        }
+    }
+
+    return {
+        tokensToday: sum(modelsToday),
+        tokensMonth: sum(modelsMonth),
+        spendMonth: Math.round(cents) / 100,
+        modelsToday,
+        modelsMonth,
+    };
+}
+
+// ─── Provider ────────────────────────────────────────────────────────────────
+
+export class ApiProvider {
+    /**
+     * @param {Gio.Settings} settings
+     * @param {Soup.Session} session
+     * @param {Gio.Cancellable|null} [cancellable] – stops requests in flight
+     */
+    constructor(settings, session, cancellable = null) {
+        this._settings = settings;
+        this._session  = session;
+        this._cancellable = cancellable;
+        this._key      = null;   // Admin API key from the keyring
+        this._org      = null;   // {uuid, name} once resolved
+        this._reports  = null;   // {since, fetched, usage, cost} of the last fetch
+    }
+
+    /** @param {string|null} key – Admin API key */
+    setKey(key) {
+        this._key = key || null;
+        this._org = null;
+        this._reports = null;
+    }
+
+    poll(callback) {
+        if (!this._key) {
+            callback([], new Client.ClientError(
+                'No Admin API key configured. Open Settings to add one.', 'config'));
+            return;
+        }
+
+        const base = Client.apiBaseUrl(this._settings);
+        const now  = Date.now();
+        this._resolveOrg(base, err => {
+            if (err) {
+                callback([], err);
+                return;
+            }
+            this._fetchReports(base, now, (reports, err2) => {
+                if (err2) {
+                    callback([], err2);
+                    return;
+                }
+                callback([this._result(summarizeReports(reports.usage, reports.cost, now), now)], null);
+            });
+        });
+    }
+
+    /**
+     * Both reports since the start of the month, fetched again only after
+     * REPORT_REFRESH_MS or when a new month began.
+     */
+    _fetchReports(base, now, callback) {
+        const since = monthStart(now);
+        const cached = this._reports;
+        if (cached && cached.since === since && now - cached.fetched < REPORT_REFRESH_MS) {
+            callback(cached, null);
+            return;
+        }
+        this._fetchReport(base, 'usage_report/messages', 'model', since, (usage, err) => {
+            if (err) {
+                callback(null, err);
+                return;
+            }
+            this._fetchReport(base, 'cost_report', null, since, (cost, err2) => {
+                if (err2) {
+                    callback(null, err2);
+                    return;
+                }
+                this._reports = {since, fetched: now, usage, cost};
+                callback(this._reports, null);
+            });
+        });
+    }
+
+    /** Looks up the organization name once, which also checks the key. */
+    _resolveOrg(base, callback) {
+        if (this._org) {
+            callback(null);
+            return;
+        }
+        Client.getApiJson(this._session, Client.apiOrganizationUrl(base), this._key, this._cancellable, (data, err) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+            this._org = {uuid: API_ORG_ID, name: data?.name ?? 'Anthropic API'};
+            callback(null);
+        });
+    }
+
+    /** Fetches every page of a report and passes on the buckets. */
+    _fetchReport(base, report, groupBy, since, callback) {
+        const buckets = [];
+        const next = (page, n) => {
+            const url = Client.apiReportUrl(base, report, since, {page, groupBy});
+            Client.getApiJson(this._session, url, this._key, this._cancellable, (data, err) => {
+                if (err) {
+                    callback(null, err);
+                    return;
+                }
+                if (!Array.isArray(data?.data)) {
+                    callback(null, new Client.ClientError(`${report}: no data buckets`, 'parse'));
+                    return;
+                }
+                buckets.push(...data.data);
+                if (data.has_more && data.next_page && n < MAX_PAGES) {
+                    next(data.next_page, n + 1);
+                    return;
+                }
+                callback(buckets, null);
+            });
+        };
+        next(null, 1);
+    }
+
+    _result({tokensToday, tokensMonth, spendMonth, modelsToday, modelsMonth}, now) {
+        const d = new Date(now);
+        const tomorrow  = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1);
+        const nextMonth = Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1);
+
+        const quotas = [
+            {id: 'spend_api', kind: 'spend', scope: 'api', unit: 'usd',
+                used: spendMonth, limit: this._settings.get_double('api-monthly-budget'),
+                reset: new Date(nextMonth).toISOString()},
+            {id: 'daily_api', kind: 'daily', scope: 'api',
+                used: tokensToday, limit: 0, reset: new Date(tomorrow).toISOString()},
+            {id: 'monthly_api', kind: 'monthly', scope: 'api',
+                used: tokensMonth, limit: 0, reset: new Date(nextMonth).toISOString()},
+        ];
+        return {
+            org: this._org,
+            usage: {
+                org: API_ORG_ID,
+                adapter: 'admin-api',
+                quotas,
+                breakdowns: {daily_api: {models: modelsToday}, monthly_api: {models: modelsMonth}},
+                updated: new Date(now).toISOString(),
+            },
+        };
+    }
+
+    destroy() {
+        this._key = null;
+        this._reports = null;
+    }
+}
@@ -0,0 +1,561 @@
+/**
+ * Claude Token Monitor – Browser cookie import
+ *
+ * Finds the claude.ai `sessionKey` cookie in local Firefox and
+ * Chromium-family profiles, so it does not have to be copied out of the
+ * DevTools by hand. Used by the preferences' import button and by the
+ * indicator to re-import a rejected cookie (`cookie-auto-import`).
+ *
+ * Cookie stores are SQLite files the running browser keeps locked, so each
+ * is copied together with its write-ahead log to a temporary directory and
+ * read with the `sqlite3` command-line tool. Chromium encrypts the values
+ * with AES-128-CBC: "v10" values with a fixed key, "v11" values with a key
+ * derived from the browser's "Safe Storage" password in the keyring. They
+ * are decrypted in-process, so the key never appears on a command line.
+ */
+
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+
+import * as Credentials from './credentials.js';
+
+// ─── Constants ───────────────────────────────────────────────────────────────
+
+const COOKIE_NAME = 'sessionKey';
+const COOKIE_HOST = 'claude.ai';
+
+/** Firefox profile roots: native, Snap and Flatpak */
+const FIREFOX_ROOTS = [
+    ['.mozilla', 'firefox'],
+    ['snap', 'firefox', 'common', '.mozilla', 'firefox'],
+    ['.var', 'app', 'org.mozilla.firefox', '.mozilla', 'firefox'],
+];
+
+/** [browser, config dir, Safe Storage application name] */
+const CHROMIUM_ROOTS = [
+    ['Google Chrome', 'google-chrome', 'chrome'],
+    ['Chromium', 'chromium', 'chromium'],
+    ['Brave', 'BraveSoftware/Brave-Browser', 'brave'],
+    ['Microsoft Edge', 'microsoft-edge', 'microsoft-edge'],
+    ['Vivaldi', 'vivaldi', 'vivaldi'],
+];
+
+const CHROMIUM_V10_PASSWORD = 'peanuts';   // used without a keyring
+const CHROMIUM_SALT  = 'saltysalt';
+const CHROMIUM_IV    = new Uint8Array(16).fill(0x20);   // 16 spaces
+const CHROMIUM_EPOCH_OFFSET_MS = 11644473600000;   // 1601-01-01 → 1970-01-01
+
+// ─── Profiles ────────────────────────────────────────────────────────────────
+
+/**
+ * Cookie stores of the installed browsers.
+ *
+ * @param {Gio.Cancellable|null} cancellable
+ * @param {function(object[])} callback – stores as {browser, profile, kind,
+ *   path, app?}; kind is 'firefox' or 'chromium', app names the Safe Storage
+ *   keyring item
+ */
+export function findCookieStores(cancellable, callback) {
+    const home = GLib.get_home_dir();
+    const roots = [
+        ...FIREFOX_ROOTS.map(root => ({
+            browser: 'Firefox', kind: 'firefox', base: GLib.build_filenamev([home, ...root]),
+        })),
+        ...CHROMIUM_ROOTS.map(([browser, dir, app]) => ({
+            browser, kind: 'chromium', app, base: GLib.build_filenamev([GLib.get_user_config_dir(), dir]),
+        })),
+    ];
+
+    // Profile directories first, then the store file each of them has
+    const profiles = [];
+    const stores = [];
+    const nextStore = i => {
+        if (i >= profiles.length) {
+            callback(stores);
+            return;
+        }
+        const {root, profile} = profiles[i];
+        _firstExisting(storePaths(root.kind, root.base, profile), cancellable, path => {
+            if (path) {
+                stores.push({browser: root.browser, profile, kind: root.kind, path, app: root.app});
+            }
+            nextStore(i + 1);
+        });
+    };
+    const nextRoot = i => {
+        if (i >= roots.length) {
+            nextStore(0);
+            return;
+        }
+        _subdirs(roots[i].base, cancellable, names => {
+            for (const profile of names) {
+                if (roots[i].kind === 'firefox' || isChromiumProfile(profile)) {
+                    profiles.push({root: roots[i], profile});
+                }
+            }
+            nextRoot(i + 1);
+        });
+    };
+    nextRoot(0);
+}
+
+/**
+ * Whether a directory of a Chromium config dir is a profile ("Default",
+ * "Profile 1", …) rather than e.g. "Crashpad" or "ShaderCache".
+ *
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isChromiumProfile(name) {
+    return name === 'Default' || name.startsWith('Profile ');
+}
+
+/**
+ * Where a profile may keep its cookie store, in the order to try.
+ *
+ * @param {string} kind – 'firefox' or 'chromium'
+ * @param {string} base – the browser's profile root
+ * @param {string} profile – profile directory name
+ * @returns {string[]}
+ */
+export function storePaths(kind, base, profile) {
+    if (kind === 'firefox') return [GLib.build_filenamev([base, profile, 'cookies.sqlite'])];
+    // Newer Chromium versions keep the store under Network/
+    return [['Network', 'Cookies'], ['Cookies']]
+        .map(parts => GLib.build_filenamev([base, profile, ...parts]));
+}
+
+/** Names of the directories in `path`; none if it does not exist */
+function _subdirs(path, cancellable, callback) {
+    const names = [];
+    const more = children => {
+        children.next_files_async(32, GLib.PRIORITY_DEFAULT, cancellable, (en, result) => {
+            let infos = [];
+            try {
+                infos = en.next_files_finish(result);
+            } catch (_) {
+                // unreadable; keep what was listed
+            }
+            for (const info of infos) {
+                if (info.get_file_type() === Gio.FileType.DIRECTORY) names.push(info.get_name());
+            }
+            if (infos.length > 0) {
+                more(en);
+                return;
+            }
+            en.close_async(GLib.PRIORITY_DEFAULT, null, null);
+            callback(names);
+        });
+    };
+
+    Gio.File.new_for_path(path).enumerate_children_async('standard::name,standard::type',
+        Gio.FileQueryInfoFlags.NONE, GLib.PRIORITY_DEFAULT, cancellable, (file, result) => {
+            try {
+                more(file.enumerate_children_finish(result));
+            } catch (_) {
+                callback([]);   // browser not installed
+            }
+        });
+}
+
+/** The first of `paths` that exists, or null */
+function _firstExisting(paths, cancellable, callback) {
+    if (paths.length === 0) {
+        callback(null);
+        return;
+    }
+    Gio.File.new_for_path(paths[0]).query_info_async('standard::type',
+        Gio.FileQueryInfoFlags.NONE, GLib.PRIORITY_DEFAULT, cancellable, (file, result) => {
+            let exists = true;
+            try {
+                file.query_info_finish(result);
+            } catch (_) {
+                exists = false;
+            }
+            if (exists) {
+                callback(paths[0]);
+            } else {
+                _firstExisting(paths.slice(1), cancellable, callback);
+            }
+        });
+}
+
+// ─── Import ──────────────────────────────────────────────────────────────────
+
+/**
+ * Reads the claude.ai session cookie from every cookie store and passes on
+ * the one that expires last, i.e. the most recent login.
+ *
+ * @param {Gio.Cancellable|null} cancellable
+ * @param {function(object|null, string|null)} callback – ({value, browser,
+ *   profile, expires}, error); expires is epoch ms
+ */
+export function importSessionKey(cancellable, callback) {
+    findSessionKeys(cancellable, (found, err) => callback(found[0] ?? null, err));
+}
+
+/**
+ * Every distinct claude.ai session cookie of the cookie stores, the most
+ * recent login first. Profiles logged in to different accounts each
+ * contribute theirs.
+ *
+ * @param {Gio.Cancellable|null} cancellable
+ * @param {function(object[], string|null)} callback – (cookies as for
+ *   importSessionKey(), error when there is none)
+ */
+export function findSessionKeys(cancellable, callback) {
+    findCookieStores(cancellable, stores => {
+        if (stores.length === 0) {
+            callback([], 'No Firefox or Chromium profile found.');
+            return;
+        }
+
+        const found = [];
+        const errors = [];
+        const next = i => {
+            if (i >= stores.length) {
+                const distinct = latestCookies(found);
+                callback(distinct, distinct.length > 0
+                    ? null
+                    : errors[0] ?? `Not logged in to ${COOKIE_HOST} in any browser profile.`);
+                return;
+            }
+            _readStore(stores[i], cancellable, (cookie, err) => {
+                if (err) errors.push(`${stores[i].browser} (${stores[i].profile}): ${err}`);
+                if (cookie) found.push({...cookie, browser: stores[i].browser, profile: stores[i].profile});
+                next(i + 1);
+            });
+        };
+        next(0);
+    });
+}
+
+/**
+ * Orders cookies found in several profiles by expiry, latest first, and
+ * keeps one of each value; the same login is often imported into several
+ * browsers.
+ *
+ * @param {object[]} cookies – {value, expires, …}
+ * @returns {object[]}
+ */
+export function latestCookies(cookies) {
+    const sorted = [...cookies].sort((a, b) => b.expires - a.expires);
+    return sorted.filter((c, i) => sorted.findIndex(d => d.value === c.value) === i);
+}
+
+/**
+ * Firefox cookie expiry as epoch ms: seconds, or milliseconds since
+ * Firefox 133.
+ *
+ * @param {string|number} expiry – moz_cookies.expiry
+ * @returns {number}
+ */
+export function firefoxExpiry(expiry) {
+    return Number(expiry) > 1e11 ? Number(expiry) : Number(expiry) * 1000;
+}
+
+/**
+ * Chromium cookie expiry as epoch ms; Chromium counts microseconds since
+ * 1601-01-01.
+ *
+ * @param {string|number} expiresUtc – cookies.expires_utc
+ * @returns {number}
+ */
+export function chromiumExpiry(expiresUtc) {
+    return Number(expiresUtc) / 1000 - CHROMIUM_EPOCH_OFFSET_MS;
+}
+
+/** The cookie of one store, read from a temporary copy */
+function _readStore(store, cancellable, callback) {
+    const dir = GLib.dir_make_tmp('claude-tokens-XXXXXX');
+    const copy = GLib.build_filenamev([dir, 'cookies.sqlite']);
+    const done = (cookie, err) => {
+        // The copy, its log and whatever sqlite3 left next to them
+        for (const name of ['', '-wal', '-shm', '-journal']) {
+            try {
+                Gio.File.new_for_path(`${copy}${name}`).delete(null);
+            } catch (_) {
+                // not there
+            }
+        }
+        GLib.rmdir(dir);
+        callback(cookie, err);
+    };
+
+    _copy(store.path, copy, cancellable, err => {
+        if (err) {
+            done(null, err);
+            return;
+        }
+        _copy(`${store.path}-wal`, `${copy}-wal`, cancellable, () => {
+            if (store.kind === 'firefox') {
+                _queryFirefox(copy, cancellable, done);
+            } else {
+                _queryChromium(copy, store.app, cancellable, done);
+            }
+        });
+    });
+}
+
+function _queryFirefox(path, cancellable, callback) {
+    const sql = `SELECT value, expiry FROM moz_cookies WHERE name = '${COOKIE_NAME}' ` +
+        `AND (host = '${COOKIE_HOST}' OR host LIKE '%.${COOKIE_HOST}') ORDER BY expiry DESC LIMIT 1`;
+    _sqlite(path, sql, cancellable, (row, err) => {
+        if (!row) {
+            callback(null, err);
+            return;
+        }
+        const [value, expiry] = row;
+        callback(value ? {value, expires: firefoxExpiry(expiry)} : null, null);
+    });
+}
+
+function _queryChromium(path, app, cancellable, callback) {
+    const sql = `SELECT host_key, value, hex(encrypted_value), expires_utc FROM cookies WHERE name = '${COOKIE_NAME}' ` +
+        `AND (host_key = '${COOKIE_HOST}' OR host_key LIKE '%.${COOKIE_HOST}') ORDER BY expires_utc DESC LIMIT 1`;
+    _sqlite(path, sql, cancellable, (row, err) => {
+        if (!row) {
+            callback(null, err);
+            return;
+        }
+        const [host, plain, encrypted, expiresUtc] = row;
+        const expires = chromiumExpiry(expiresUtc);
+        if (plain) {
+            callback({value: plain, expires}, null);
+            return;
+        }
+        _decryptChromium(encrypted, host, app, cancellable, (value, decryptErr) => {
+            callback(value ? {value, expires} : null, decryptErr);
+        });
+    });
+}
+
+// ─── Chromium decryption ─────────────────────────────────────────────────────
+
+/**
+ * AES key of a Chromium cookie value: PBKDF2-HMAC-SHA1 with one iteration,
+ * which is the first 16 bytes of HMAC(password, salt ‖ 00000001).
+ *
+ * @param {string} password
+ * @returns {string} hex
+ */
+export function chromiumKey(password) {
+    const salt = new Uint8Array([...new TextEncoder().encode(CHROMIUM_SALT), 0, 0, 0, 1]);
+    return GLib.compute_hmac_for_bytes(GLib.ChecksumType.SHA1,
+        new GLib.Bytes(new TextEncoder().encode(password)), new GLib.Bytes(salt)).slice(0, 32);
+}
+
+/**
+ * Recent Chromium versions put the SHA-256 of the cookie's host in front of
+ * the value; older ones do not.
+ *
+ * @param {Uint8Array} plain – decrypted bytes
+ * @param {string} host – the cookie's host_key
+ * @returns {string}
+ */
+export function stripHostHash(plain, host) {
+    const hash = GLib.compute_checksum_for_string(GLib.ChecksumType.SHA256, host, -1);
+    const prefix = [...plain.slice(0, 32)].map(b => b.toString(16).padStart(2, '0')).join('');
+    return new TextDecoder().decode(plain.length > 32 && prefix === hash ? plain.slice(32) : plain);
+}
+
+function _decryptChromium(hex, host, app, cancellable, callback) {
+    const bytes = _fromHex(hex);
+    const version = new TextDecoder().decode(bytes.slice(0, 3));
+    if (version !== 'v10' && version !== 'v11') {
+        callback(null, `unsupported cookie encryption "${version}"`);
+        return;
+    }
+
+    const decrypt = password => {
+        const plain = decryptAes128Cbc(_fromHex(chromiumKey(password)), CHROMIUM_IV, bytes.slice(3));
+        if (plain) {
+            callback(stripHostHash(plain, host), null);
+        } else {
+            callback(null, 'could not decrypt the cookie (wrong Safe Storage password?)');
+        }
+    };
+    if (version === 'v10') {
+        decrypt(CHROMIUM_V10_PASSWORD);
+        return;
+    }
+    Credentials.lookupChromiumPassword(app, cancellable, (password, err) => {
+        if (!password) {
+            callback(null, err ?? 'no Safe Storage password in the keyring');
+            return;
+        }
+        decrypt(password);
+    });
+}
+
+// ─── AES-128-CBC ─────────────────────────────────────────────────────────────
+
+// FIPS-197 decryption, small and slow – a cookie is a few blocks
+
+const SBOX = new Uint8Array(256);
+const INV_SBOX = new Uint8Array(256);
+{
+    // Walk GF(2^8) with p = 3^i and q = 1/p, applying the affine transform
+    const rotl = (x, n) => (x << n | x >> 8 - n) & 0xff;
+    let p = 1, q = 1;
+    do {
+        p = (p ^ p << 1 ^ (p & 0x80 ? 0x1b : 0)) & 0xff;
+        q ^= q << 1;
+        q ^= q << 2;
+        q ^= q << 4;
+        q &= 0xff;
+        if (q & 0x80) q ^= 0x09;
+        const s = q ^ rotl(q, 1) ^ rotl(q, 2) ^ rotl(q, 3) ^ rotl(q, 4) ^ 0x63;
+        SBOX[p] = s;
+        INV_SBOX[s] = p;
+    } while (p !== 1);
+    SBOX[0] = 0x63;
+    INV_SBOX[0x63] = 0;
+}
+
+/** Product in GF(2^8) */
+function _gmul(a, b) {
+    let product = 0;
+    for (; b; b >>= 1) {
+        if (b & 1) product ^= a;
+        a = (a << 1 ^ (a & 0x80 ? 0x1b : 0)) & 0xff;
+    }
+    return product;
+}
+
+/** The 11 round keys of a 16-byte key, 176 bytes */
+function _expandKey(key) {
+    const w = new Uint8Array(176);
+    w.set(key);
+    let rcon = 1;
+    for (let i = 16; i < 176; i += 4) {
+        let t = [...w.subarray(i - 4, i)];
+        if (i % 16 === 0) {
+            t = [SBOX[t[1]] ^ rcon, SBOX[t[2]], SBOX[t[3]], SBOX[t[0]]];
+            rcon = _gmul(rcon, 2);
+        }
+        for (let j = 0; j < 4; j++) w[i + j] = w[i - 16 + j] ^ t[j];
+    }
+    return w;
+}
+
+/** Decrypts one block in place; state bytes are column-major as in FIPS-197 */
+function _decryptBlock(state, w) {
+    const addRoundKey = round => {
+        for (let i = 0; i < 16; i++) state[i] ^= w[round * 16 + i];
+    };
+    const invShiftSub = () => {
+        const old = state.slice();
+        for (let r = 0; r < 4; r++) {
+            for (let c = 0; c < 4; c++) state[r + 4 * c] = INV_SBOX[old[r + 4 * ((c - r + 4) % 4)]];
+        }
+    };
+
+    addRoundKey(10);
+    for (let round = 9; round >= 1; round--) {
+        invShiftSub();
+        addRoundKey(round);
+        for (let c = 0; c < 16; c += 4) {
+            const [a0, a1, a2, a3] = state.subarray(c, c + 4);
+            state[c]     = _gmul(a0, 14) ^ _gmul(a1, 11) ^ _gmul(a2, 13) ^ _gmul(a3, 9);
+            state[c + 1] = _gmul(a0, 9) ^ _gmul(a1, 14) ^ _gmul(a2, 11) ^ _gmul(a3, 13);
+            state[c + 2] = _gmul(a0, 13) ^ _gmul(a1, 9) ^ _gmul(a2, 14) ^ _gmul(a3, 11);
+            state[c + 3] = _gmul(a0, 11) ^ _gmul(a1, 13) ^ _gmul(a2, 9) ^ _gmul(a3, 14);
+        }
+    }
+    invShiftSub();
+    addRoundKey(0);
+}
+
+/**
+ * AES-128-CBC with PKCS#7 padding, as Chromium encrypts cookie values.
+ *
+ * @param {Uint8Array} key – 16 bytes
+ * @param {Uint8Array} iv – 16 bytes
+ * @param {Uint8Array} data – whole blocks
+ * @returns {Uint8Array|null} null when the length or padding is wrong,
+ *   i.e. usually the key
+ */
+export function decryptAes128Cbc(key, iv, data) {
+    if (data.length === 0 || data.length % 16 !== 0) return null;
+
+    const w = _expandKey(key);
+    const out = new Uint8Array(data.length);
+    let prev = iv;
+    for (let i = 0; i < data.length; i += 16) {
+        const block = data.slice(i, i + 16);
+        _decryptBlock(block, w);
+        for (let j = 0; j < 16; j++) out[i + j] = block[j] ^ prev[j];
+        prev = data.subarray(i, i + 16);
+    }
+
+    const pad = out[out.length - 1];
+    if (pad < 1 || pad > 16 || out.subarray(out.length - pad).some(b => b !== pad)) return null;
+    return out.slice(0, out.length - pad);
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+/** Copies a file if it exists; a missing source is passed on as an error. */
+function _copy(from, to, cancellable, callback) {
+    Gio.File.new_for_path(from).copy_async(Gio.File.new_for_path(to), Gio.FileCopyFlags.NONE,
+        GLib.PRIORITY_DEFAULT, cancellable, null, (file, result) => {
+            try {
+                file.copy_finish(result);
+                callback(null);
+            } catch (e) {
+                callback(e.message);
+            }
+        });
+}
+
+/** First row of a query as a list of columns, or null */
+function _sqlite(path, sql, cancellable, callback) {
+    _run(['sqlite3', '-separator', '\t', path, sql], cancellable, (out, err) => {
+        if (!out) {
+            callback(null, err);
+            return;
+        }
+        const line = new TextDecoder().decode(out).split('\n')[0];
+        callback(line ? line.split('\t') : null, null);
+    });
+}
+
+/**
+ * Runs a command and collects its output.
+ *
+ * @param {string[]} argv
+ * @param {Gio.Cancellable|null} cancellable
+ * @param {function(Uint8Array|null, string|null)} callback – (stdout, error)
+ */
+function _run(argv, cancellable, callback) {
+    let proc;
+    try {
+        proc = Gio.Subprocess.new(argv,
+            Gio.SubprocessFlags.STDOUT_PIPE | Gio.SubprocessFlags.STDERR_PIPE);
+    } catch (e) {
+        callback(null, e.matches(GLib.SpawnError, GLib.SpawnError.NOENT)
+            ? `${argv[0]} is not installed`
+            : e.message);
+        return;
+    }
+    proc.communicate_async(null, cancellable, (_proc, result) => {
+        try {
+            const [, stdout, stderr] = proc.communicate_finish(result);
+            if (!proc.get_successful()) {
+                const msg = new TextDecoder().decode(stderr?.toArray() ?? new Uint8Array()).trim();
+                callback(null, `${argv[0]}: ${msg || 'failed'}`);
+                return;
+            }
+            callback(stdout?.toArray() ?? new Uint8Array(), null);
+        } catch (e) {
+            callback(null, e.message);
+        }
+    });
+}
+
+function _fromHex(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    return bytes;
+}
@@ -0,0 +1,191 @@
+/**
+ * Claude Token Monitor – History charts
+ *
+ * Cairo-drawn Gtk widgets for the preferences' History page: a calendar
+ * heatmap of daily use, one column per week and one row per weekday, and a
+ * bar chart of the peak of each window period (see report.js). Hovering a
+ * cell or bar shows its value.
+ *
+ * Gtk only, so just the preferences window loads it; the panel's charts are
+ * the St widgets in sparkline.js and gauge.js.
+ */
+
+import GObject from 'gi://GObject';
+import Gtk from 'gi://Gtk';
+
+// ─── Constants ───────────────────────────────────────────────────────────────
+
+const CELL = 14;   // heatmap cell, px
+const GAP  = 3;
+
+const BAR_WIDTH  = 18;
+const BAR_HEIGHT = 90;   // 100 % of the limit
+
+// ─── Heatmap ─────────────────────────────────────────────────────────────────
+
+/** Columns of a heatmap that covers the last `days` days */
+export function heatmapWeeks(days) {
+    return Math.ceil(days / 7) + 1;
+}
+
+export const UsageHeatmap = GObject.registerClass(
+class UsageHeatmap extends Gtk.DrawingArea {
+    _init(params = {}) {
+        super._init({
+            has_tooltip: true,
+            halign: Gtk.Align.START,
+            margin_top: 6, margin_bottom: 6,
+            ...params,
+        });
+
+        this._days  = new Map();   // local day start → amount
+        this._first = 0;           // Monday starting the first column
+        this._weeks = 0;
+        this._now   = 0;
+        this._color = '#3584e4';
+
+        this.set_draw_func((_area, cr) => this._draw(cr));
+        this.connect('query-tooltip', (_area, x, y, _keyboard, tooltip) => {
+            const day = this._dayAt(x, y);
+            if (day === null) return false;
+            tooltip.set_text(`${new Date(day).toLocaleDateString(undefined, {
+                weekday: 'short', month: 'short', day: 'numeric',
+            })}: ${_compact(this._days.get(day) ?? 0)}`);
+            return true;
+        });
+    }
+
+    /**
+     * @param {Map<number, number>} days – local day start → amount, see
+     *   Report.dailyTotals()
+     * @param {number} weeks – columns, the last one holding `now`
+     * @param {number} now – epoch ms
+     * @param {string} color – "#rrggbb" of the busiest day
+     */
+    setData(days, weeks, now, color) {
+        const monday = new Date(now);
+        monday.setHours(0, 0, 0, 0);
+        monday.setDate(monday.getDate() - (monday.getDay() + 6) % 7);
+        monday.setDate(monday.getDate() - 7 * (weeks - 1));
+
+        this._days  = days;
+        this._first = monday.getTime();
+        this._weeks = weeks;
+        this._now   = now;
+        this._color = color;
+        this.content_width  = weeks * (CELL + GAP);
+        this.content_height = 7 * (CELL + GAP);
+        this.queue_draw();
+    }
+
+    /** Local day start of the cell `i` days after the first Monday */
+    _day(i) {
+        const d = new Date(this._first);
+        d.setDate(d.getDate() + i);
+        return d.getTime();
+    }
+
+    _dayAt(x, y) {
+        const col = Math.floor(x / (CELL + GAP));
+        const row = Math.floor(y / (CELL + GAP));
+        if (col < 0 || col >= this._weeks || row < 0 || row > 6) return null;
+        const day = this._day(col * 7 + row);
+        return day <= this._now ? day : null;
+    }
+
+    _draw(cr) {
+        const max = Math.max(1, ...this._days.values());
+        const [r, g, b] = _rgb(this._color);
+        const fg = this.get_color();
+
+        for (let col = 0; col < this._weeks; col++) {
+            for (let row = 0; row < 7; row++) {
+                const day = this._day(col * 7 + row);
+                if (day > this._now) continue;
+                const amount = this._days.get(day) ?? 0;
+                if (amount > 0) {
+                    // Never fainter than a quarter, so light days still show
+                    cr.setSourceRGBA(r, g, b, 0.25 + 0.75 * amount / max);
+                } else {
+                    cr.setSourceRGBA(fg.red, fg.green, fg.blue, 0.08);
+                }
+                cr.rectangle(col * (CELL + GAP), row * (CELL + GAP), CELL, CELL);
+                cr.fill();
+            }
+        }
+        cr.$dispose();
+    }
+});
+
+// ─── Period bars ─────────────────────────────────────────────────────────────
+
+export const PeriodBars = GObject.registerClass(
+class PeriodBars extends Gtk.DrawingArea {
+    _init(params = {}) {
+        super._init({
+            has_tooltip: true,
+            halign: Gtk.Align.START,
+            margin_top: 6, margin_bottom: 6,
+            ...params,
+        });
+
+        this._bars = [];   // {start, end, peak, color}
+
+        this.set_draw_func((_area, cr) => this._draw(cr));
+        this.connect('query-tooltip', (_area, x, _y, _keyboard, tooltip) => {
+            const bar = this._bars[Math.floor(x / (BAR_WIDTH + GAP))];
+            if (!bar) return false;
+            const date = ms => new Date(ms).toLocaleDateString(undefined, {month: 'short', day: 'numeric'});
+            tooltip.set_text(`${date(bar.start)} – ${date(bar.end)}: ${Math.round(bar.peak * 100)}%`);
+            return true;
+        });
+    }
+
+    /**
+     * @param {Array<{start: number, end: number, peak: number, color: string}>} bars
+     *   oldest first; peak is used / limit, drawn up to 120 %
+     */
+    setData(bars) {
+        this._bars = bars;
+        this.content_width  = Math.max(1, bars.length) * (BAR_WIDTH + GAP);
+        this.content_height = Math.round(BAR_HEIGHT * 1.2);
+        this.queue_draw();
+    }
+
+    _draw(cr) {
+        const height = Math.round(BAR_HEIGHT * 1.2);
+        const fg = this.get_color();
+
+        this._bars.forEach((bar, i) => {
+            const h = BAR_HEIGHT * Math.min(bar.peak, 1.2);
+            const [r, g, b] = _rgb(bar.color);
+            cr.setSourceRGBA(r, g, b, 1);
+            cr.rectangle(i * (BAR_WIDTH + GAP), height - h, BAR_WIDTH, h);
+            cr.fill();
+        });
+
+        // 100 % guide
+        cr.setSourceRGBA(fg.red, fg.green, fg.blue, 0.35);
+        cr.setLineWidth(1);
+        cr.setDash([2, 2], 0);
+        cr.moveTo(0, height - BAR_HEIGHT + 0.5);
+        cr.lineTo(this.content_width, height - BAR_HEIGHT + 0.5);
+        cr.stroke();
+        cr.$dispose();
+    }
+});
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+/** "#rrggbb" → [r, g, b] 0–1 */
+function _rgb(hex) {
+    const n = parseInt(String(hex).replace('#', ''), 16) || 0;
+    return [(n >> 16 & 0xff) / 255, (n >> 8 & 0xff) / 255, (n & 0xff) / 255];
+}
+
+/** 1234567 → "1.2M" */
+function _compact(n) {
+    if (n >= 1e6) return `${(n / 1e6).toFixed(1)}M`;
+    if (n >= 1e3) return `${(n / 1e3).toFixed(1)}k`;
+    return String(Math.round(n));
+}
@@ -0,0 +1,230 @@
+/**
+ * Claude Token Monitor – Credential store
+ *
+ * Keeps the claude.ai session cookies in the Secret Service (GNOME Keyring)
+ * through libsecret instead of plain GSettings. Imported by both the panel
+ * indicator and the preferences window so they share the same keyring items.
+ * Each account listed in the `accounts` setting owns one item, keyed by the
+ * account name. The Anthropic Admin API key (api.js) and the proxy password
+ * (client.js) are separate items.
+ *
+ * The preferences window and the shell run in separate processes, so after
+ * writing a secret the writer bumps the `credential-revision` key; the
+ * indicator watches that key and reloads the cookie.
+ */
+
+import Secret from 'gi://Secret';
+
+// ─── Constants ───────────────────────────────────────────────────────────────
+
+const SCHEMA_NAME = 'org.gnome.shell.extensions.claude-tokens';
+
+export const DEFAULT_ACCOUNT = 'default';
+
+const SECRET_SCHEMA = new Secret.Schema(SCHEMA_NAME, Secret.SchemaFlags.NONE, {
+    'account': Secret.SchemaAttributeType.STRING,
+});
+
+const ADMIN_KEY_SCHEMA = new Secret.Schema(`${SCHEMA_NAME}.AdminKey`, Secret.SchemaFlags.NONE, {
+    'service': Secret.SchemaAttributeType.STRING,
+});
+const ADMIN_KEY_ATTRS = {service: 'api.anthropic.com'};
+
+const PROXY_SCHEMA = new Secret.Schema(`${SCHEMA_NAME}.Proxy`, Secret.SchemaFlags.NONE, {
+    'service': Secret.SchemaAttributeType.STRING,
+});
+const PROXY_ATTRS = {service: 'proxy'};
+
+/** The item Chromium-family browsers keep their cookie encryption password in */
+const CHROMIUM_SCHEMA = new Secret.Schema('chrome_libsecret_os_crypt_password_v2',
+    Secret.SchemaFlags.DONT_MATCH_NAME, {
+        'application': Secret.SchemaAttributeType.STRING,
+    });
+
+// ─── Keyring access ──────────────────────────────────────────────────────────
+
+/**
+ * Looks up the stored session cookie of an account.
+ *
+ * @param {string} account
+ * @param {Gio.Cancellable|null} cancellable
+ * @param {function(string|null, string|null)} callback – (value, error)
+ */
+export function lookupSessionKey(account, cancellable, callback) {
+    _lookup(SECRET_SCHEMA, {account}, cancellable, callback);
+}
+
+function _lookup(schema, attrs, cancellable, callback) {
+    Secret.password_lookup(schema, attrs, cancellable,
+        (_src, result) => {
+            try {
+                callback(Secret.password_lookup_finish(result) ?? null, null);
+            } catch (e) {
+                callback(null, `Keyring error: ${e.message}`);
+            }
+        });
+}
+
+/**
+ * Stores the session cookie of an account. An empty value removes the
+ * keyring item.
+ *
+ * @param {string} account
+ * @param {string} value
+ * @param {Gio.Cancellable|null} cancellable
+ * @param {function(boolean, string|null)} callback – (ok, error)
+ */
+export function storeSessionKey(account, value, cancellable, callback) {
+    _store(SECRET_SCHEMA, {account}, `Claude Token Monitor session cookie (${account})`,
+        value, cancellable, callback);
+}
+
+function _store(schema, attrs, label, value, cancellable, callback) {
+    const key = (value ?? '').trim();
+    if (!key) {
+        _clear(schema, attrs, cancellable, callback);
+        return;
+    }
+
+    Secret.password_store(schema, attrs, Secret.COLLECTION_DEFAULT, label, key, cancellable,
+        (_src, result) => {
+            try {
+                callback(Secret.password_store_finish(result), null);
+            } catch (e) {
+                callback(false, `Keyring error: ${e.message}`);
+            }
+        });
+}
+
+/**
+ * Removes the stored session cookie of an account, if any.
+ *
+ * @param {string} account
+ * @param {Gio.Cancellable|null} cancellable
+ * @param {function(boolean, string|null)} callback – (ok, error)
+ */
+export function clearSessionKey(account, cancellable, callback) {
+    _clear(SECRET_SCHEMA, {account}, cancellable, callback);
+}
+
+function _clear(schema, attrs, cancellable, callback) {
+    Secret.password_clear(schema, attrs, cancellable,
+        (_src, result) => {
+            try {
+                Secret.password_clear_finish(result);
+                callback(true, null);
+            } catch (e) {
+                callback(false, `Keyring error: ${e.message}`);
+            }
+        });
+}
+
+/**
+ * Looks up the stored Anthropic Admin API key.
+ *
+ * @param {Gio.Cancellable|null} cancellable
+ * @param {function(string|null, string|null)} callback – (value, error)
+ */
+export function lookupAdminKey(cancellable, callback) {
+    _lookup(ADMIN_KEY_SCHEMA, ADMIN_KEY_ATTRS, cancellable, callback);
+}
+
+/**
+ * Stores the Anthropic Admin API key; an empty value removes it.
+ *
+ * @param {string} value
+ * @param {Gio.Cancellable|null} cancellable
+ * @param {function(boolean, string|null)} callback – (ok, error)
+ */
+export function storeAdminKey(value, cancellable, callback) {
+    _store(ADMIN_KEY_SCHEMA, ADMIN_KEY_ATTRS, 'Claude Token Monitor Admin API key',
+        value, cancellable, callback);
+}
+
+/**
+ * Looks up the password of the manual proxy (`proxy-url`).
+ *
+ * @param {Gio.Cancellable|null} cancellable
+ * @param {function(string|null, string|null)} callback – (value, error)
+ */
+export function lookupProxyPassword(cancellable, callback) {
+    _lookup(PROXY_SCHEMA, PROXY_ATTRS, cancellable, callback);
+}
+
+/**
+ * Stores the proxy password; an empty value removes it.
+ *
+ * @param {string} value
+ * @param {Gio.Cancellable|null} cancellable
+ * @param {function(boolean, string|null)} callback – (ok, error)
+ */
+export function storeProxyPassword(value, cancellable, callback) {
+    _store(PROXY_SCHEMA, PROXY_ATTRS, 'Claude Token Monitor proxy password',
+        value, cancellable, callback);
+}
+
+/**
+ * Looks up a Chromium-family browser's "Safe Storage" password, used by
+ * browser.js to decrypt its cookies.
+ *
+ * @param {string} application – e.g. "chrome", "chromium", "brave"
+ * @param {Gio.Cancellable|null} cancellable
+ * @param {function(string|null, string|null)} callback – (value, error)
+ */
+export function lookupChromiumPassword(application, cancellable, callback) {
+    _lookup(CHROMIUM_SCHEMA, {application}, cancellable, callback);
+}
+
+// ─── Migration / change notification ─────────────────────────────────────────
+
+/**
+ * One-time migration: moves a cookie left in the legacy `session-cookie`
+ * GSettings key into the keyring (under the default account), then clears
+ * the key. The key is only cleared once the keyring write succeeded, so
+ * nothing is lost if the Secret Service is unavailable.
+ *
+ * @param {Gio.Settings} settings
+ * @param {Gio.Cancellable|null} cancellable
+ * @param {function(boolean)} callback – (migrated)
+ */
+export function migrateFromSettings(settings, cancellable, callback) {
+    const legacy = (settings.get_string('session-cookie') || '').trim();
+    if (!legacy) {
+        callback(false);
+        return;
+    }
+
+    storeSessionKey(DEFAULT_ACCOUNT, legacy, cancellable, (ok, err) => {
+        if (!ok) {
+            console.warn(`[claude-tokens] cookie migration failed: ${err}`);
+            callback(false);
+            return;
+        }
+        settings.reset('session-cookie');
+        notifyChanged(settings);
+        callback(true);
+    });
+}
+
+/**
+ * Tells other processes (the indicator) that the stored secret changed.
+ *
+ * @param {Gio.Settings} settings
+ */
+export function notifyChanged(settings) {
+    settings.set_int('credential-revision',
+        settings.get_int('credential-revision') + 1);
+}
+
+/**
+ * Builds the Cookie header value. Accepts either the raw value or a full
+ * "sessionKey=…" string.
+ *
+ * @param {string|null} key
+ * @returns {string|null}
+ */
+export function cookieHeader(key) {
+    const k = (key || '').trim();
+    if (!k) return null;
+    return k.startsWith('sessionKey=') ? k : `sessionKey=${k}`;
+}
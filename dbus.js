@@ -0,0 +1,133 @@
+/**
+ * Claude Token Monitor – D-Bus service
+ *
+ * Exports the indicator's cached usage on the session bus so scripts and
+ * status lines can read it without a second copy of the cookie:
+ *
+ *   gdbus introspect --session --dest org.gnome.Shell.Extensions.ClaudeTokens \
+ *       --object-path /org/gnome/Shell/Extensions/ClaudeTokens
+ *
+ * Values describe the organization that drives the panel bars. The Session*
+ * and Weekly* properties cover the two main windows; `Quotas` lists every
+ * quota as (id, label, used, limit, percent, resets-at).
+ */
+
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+
+import * as Parser from './parser.js';
+
+// ─── Constants ───────────────────────────────────────────────────────────────
+
+const BUS_NAME    = 'org.gnome.Shell.Extensions.ClaudeTokens';
+const OBJECT_PATH = '/org/gnome/Shell/Extensions/ClaudeTokens';
+
+/** Property name → D-Bus signature */
+const PROPERTIES = {
+    Organization:    's',
+    SessionUsed:     'x',
+    SessionLimit:    'x',
+    SessionPercent:  'd',
+    SessionResetsAt: 's',
+    WeeklyUsed:      'x',
+    WeeklyLimit:     'x',
+    WeeklyPercent:   'd',
+    WeeklyResetsAt:  's',
+    Quotas:          'a(ssxxds)',
+    LastUpdated:     's',
+};
+
+const IFACE_XML = `
+<node>
+  <interface name="${BUS_NAME}">
+    <method name="Refresh"/>
+    <signal name="UsageChanged"/>
+${Object.entries(PROPERTIES).map(([name, sig]) =>
+        `    <property name="${name}" type="${sig}" access="read"/>`).join('\n')}
+  </interface>
+</node>`;
+
+// ─── Service ─────────────────────────────────────────────────────────────────
+
+export class UsageService {
+    /**
+     * @param {function()} onRefresh – called for the Refresh() method
+     */
+    constructor(onRefresh) {
+        this._onRefresh = onRefresh;
+        this._values = {
+            Organization: '',
+            SessionUsed: 0, SessionLimit: 0, SessionPercent: 0, SessionResetsAt: '',
+            WeeklyUsed:  0, WeeklyLimit:  0, WeeklyPercent:  0, WeeklyResetsAt:  '',
+            Quotas: [],
+            LastUpdated: '',
+        };
+
+        // Property getters read by the exported object
+        for (const name of Object.keys(PROPERTIES)) {
+            Object.defineProperty(this, name, {get: () => this._values[name]});
+        }
+
+        this._impl = Gio.DBusExportedObject.wrapJSObject(IFACE_XML, this);
+        this._impl.export(Gio.DBus.session, OBJECT_PATH);
+        this._nameId = Gio.bus_own_name_on_connection(Gio.DBus.session,
+            BUS_NAME, Gio.BusNameOwnerFlags.NONE, null, null);
+    }
+
+    // ── D-Bus methods ─────────────────────────────────────────────────────────
+
+    Refresh() {
+        this._onRefresh();
+    }
+
+    // ── Updates from the indicator ────────────────────────────────────────────
+
+    /**
+     * Publishes new usage and emits PropertiesChanged and UsageChanged.
+     *
+     * @param {{name: string}} org
+     * @param {object} usage – as shown in the panel, see _displayUsage()
+     */
+    update(org, usage) {
+        const pct = q => q?.limit > 0 ? q.used / q.limit * 100 : 0;
+        // Local-logs-only usage has no plain session/weekly quota
+        const byKind = kind => Parser.findQuota(usage.quotas, kind) ??
+            usage.quotas.find(q => q.kind === kind) ?? null;
+        const session = byKind('session');
+        const weekly  = byKind('weekly');
+        const next = {
+            Organization:    org.name,
+            SessionUsed:     session?.used ?? 0,
+            SessionLimit:    session?.limit ?? 0,
+            SessionPercent:  pct(session),
+            SessionResetsAt: session?.reset ?? '',
+            WeeklyUsed:      weekly?.used ?? 0,
+            WeeklyLimit:     weekly?.limit ?? 0,
+            WeeklyPercent:   pct(weekly),
+            WeeklyResetsAt:  weekly?.reset ?? '',
+            Quotas:          usage.quotas.map(q =>
+                [q.id, Parser.quotaLabel(q), _integer(q, q.used), _integer(q, q.limit),
+                    pct(q), q.reset ?? '']),
+            LastUpdated:     usage.updated,
+        };
+
+        for (const [name, sig] of Object.entries(PROPERTIES)) {
+            if (JSON.stringify(next[name]) === JSON.stringify(this._values[name])) continue;
+            this._values[name] = next[name];
+            this._impl.emit_property_changed(name, new GLib.Variant(sig, next[name]));
+        }
+        this._impl.emit_signal('UsageChanged', null);
+    }
+
+    destroy() {
+        Gio.bus_unown_name(this._nameId);
+        this._impl.unexport();
+    }
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+/** Quota amounts as D-Bus integers: tokens, or cents for spend in dollars */
+function _integer(q, value) {
+    return q.unit === 'usd' ? Math.round(value * 100) : value;
+}
@@ -0,0 +1,124 @@
+/**
+ * Claude Token Monitor – Usage export
+ *
+ * Turns recorded history samples (history.js) into CSV or JSON for the
+ * preferences' export button, and the current usage into the Markdown
+ * summary the panel menu copies to the clipboard.
+ *
+ * CSV has one row per sample and quota:
+ *
+ *   time,org,org_name,quota,used,limit
+ *   2026-10-19T09:15:00.000Z,5f1c…,Acme,session,120000,200000
+ *
+ * The functions only build strings; writing the file is up to the
+ * preferences and the clipboard is set by the indicator.
+ */
+
+import * as Parser from './parser.js';
+
+// ─── Constants ───────────────────────────────────────────────────────────────
+
+export const FORMATS = ['csv', 'json'];
+
+const CSV_COLUMNS = ['time', 'org', 'org_name', 'quota', 'used', 'limit'];
+
+// ─── Samples ─────────────────────────────────────────────────────────────────
+
+/**
+ * Samples recorded in [from, to).
+ *
+ * @param {object[]} samples – time-sorted, as loaded by UsageHistory
+ * @param {number} from – epoch ms
+ * @param {number} to – epoch ms
+ * @returns {object[]}
+ */
+export function samplesInRange(samples, from, to) {
+    return samples.filter(s => s.time >= from && s.time < to);
+}
+
+/**
+ * @param {object[]} samples
+ * @param {Object<string, string>} orgNames – org UUID → display name
+ * @returns {string}
+ */
+export function toCsv(samples, orgNames) {
+    const rows = [CSV_COLUMNS.join(',')];
+    for (const s of samples) {
+        const time = new Date(s.time).toISOString();
+        for (const [id, {used, limit}] of Object.entries(s.quotas)) {
+            rows.push([time, s.org, orgNames[s.org] ?? '', id, used, limit]
+                .map(_csvField).join(','));
+        }
+    }
+    return `${rows.join('\n')}\n`;
+}
+
+/**
+ * @param {object[]} samples
+ * @param {Object<string, string>} orgNames – org UUID → display name
+ * @param {number} from – epoch ms, recorded as the requested range
+ * @param {number} to – epoch ms
+ * @returns {string}
+ */
+export function toJson(samples, orgNames, from, to) {
+    return `${JSON.stringify({
+        from: new Date(from).toISOString(),
+        to: new Date(to).toISOString(),
+        samples: samples.map(s => ({
+            time: new Date(s.time).toISOString(),
+            org: s.org,
+            orgName: orgNames[s.org] ?? null,
+            quotas: s.quotas,
+        })),
+    }, null, 2)}\n`;
+}
+
+// ─── Summary ─────────────────────────────────────────────────────────────────
+
+/**
+ * Markdown table of the shown quotas, e.g. for a weekly team report.
+ *
+ * @param {string} title – usually the org name(s)
+ * @param {object[]} quotas – as parsed, with `used`, `limit`, `reset`, `unit`
+ * @param {number} now – epoch ms
+ * @returns {string}
+ */
+export function summaryMarkdown(title, quotas, now) {
+    const lines = [
+        `### Claude usage – ${title} (${_date(now)})`,
+        '',
+        '| Window | Used | Limit | % | Resets |',
+        '| --- | ---: | ---: | ---: | --- |',
+    ];
+    for (const q of quotas) {
+        const hasLimit = q.limit > 0;
+        lines.push(`| ${[
+            Parser.quotaLabel(q),
+            _amount(q.used, q.unit),
+            hasLimit ? _amount(q.limit, q.unit) : '–',
+            hasLimit ? `${Math.round(q.used / q.limit * 100)}%` : '–',
+            q.reset ? _date(Date.parse(q.reset)) : '–',
+        ].join(' | ')} |`);
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+function _csvField(value) {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** Full numbers rather than the menu's "48k", since reports add them up */
+function _amount(n, unit) {
+    if (unit === 'usd') return `$${n.toFixed(2)}`;
+    return Math.round(n).toLocaleString();
+}
+
+function _date(ms) {
+    return new Date(ms).toLocaleString(undefined, {
+        month: 'short', day: 'numeric',
+        hour: '2-digit', minute: '2-digit',
+    });
+}
@@ -1,45 +1,85 @@
 /**
  * Claude Token Monitor – GNOME Shell Extension
- * Displays Claude AI session (5-hour) and weekly token usage in the top panel.
+ * Displays Claude AI session (5-hour), weekly and any further quota usage
+ * (e.g. per-model weekly caps) in the top panel.
  *
  * Authentication: paste the value of the "sessionKey" cookie from claude.ai
- * (open DevTools → Application → Cookies → https://claude.ai).
+ * (open DevTools → Application → Cookies → https://claude.ai). The cookie is
+ * kept in the GNOME keyring, see credentials.js.
  *
- * API endpoints used (claude.ai internal REST API):
+ * API endpoints used (claude.ai internal REST API, see client.js):
  *   GET https://claude.ai/api/auth/current_account
  *   GET https://claude.ai/api/organizations/{orgId}/rate_limit_status
+ *
+ * Usage comes from the providers enabled in `usage-sources`, shown side by
+ * side: the claude.ai web API (web.js), the Anthropic Admin API usage and
+ * cost reports (api.js) and local Claude Code logs (local.js).
  */
 
 import GLib from 'gi://GLib';
 import GObject from 'gi://GObject';
 import Gio from 'gi://Gio';
 import St from 'gi://St';
-import Soup from 'gi://Soup';
 import Clutter from 'gi://Clutter';
+import Meta from 'gi://Meta';
+import Shell from 'gi://Shell';
 
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 import * as PanelMenu from 'resource:///org/gnome/shell/ui/panelMenu.js';
 import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
 import {Extension, gettext as _} from 'resource:///org/gnome/shell/extensions/extension.js';
 
+import * as Client from './client.js';
+import * as Credentials from './credentials.js';
+import * as Browser from './browser.js';
+import * as Parser from './parser.js';
+import {WebProvider} from './web.js';
+import {ApiProvider, API_ORG_ID} from './api.js';
+import {LocalProvider, LOCAL_ORG_ID} from './local.js';
+import {UsageHistory} from './history.js';
+import {Sparkline} from './sparkline.js';
+import {UsageRing} from './gauge.js';
+import {LevelRules, higher} from './levels.js';
+import * as Projection from './projection.js';
+import * as Export from './export.js';
+import {UsageNotifier} from './notifications.js';
+import {UsageService} from './dbus.js';
+import {ActivityMonitor} from './activity.js';
+
 // ─── Constants ───────────────────────────────────────────────────────────────
 
-const CLAUDE_BASE     = 'https://claude.ai/api';
-const ACCOUNT_ENDPOINT = `${CLAUDE_BASE}/auth/current_account`;
+/** `panel-mode` values */
+const PANEL_MODES = ['bars', 'text', 'ring', 'icon'];
+
+/** claude.ai pages opened from the quick actions */
+const USAGE_PAGE_URL    = 'https://claude.ai/settings/usage';
+const SETTINGS_PAGE_URL = 'https://claude.ai/settings';
 
-const BAR_WIDTH   = 110; // px – total bar track width
-const BAR_HEIGHT  = 6;   // px
+/** Global shortcuts (`as` keys) and what they do to the indicator */
+const SHORTCUTS = {
+    'menu-shortcut': indicator => indicator.menu.toggle(),
+    'refresh-shortcut': indicator => indicator.refresh(),
+};
+
+/** Settings applied by Client.configureSession(), plus the endpoint */
+const NETWORK_KEYS = ['proxy-mode', 'proxy-url', 'ca-file', 'request-timeout', 'user-agent', 'base-url'];
+
+const SESSION_SPAN_MS = 5 * 60 * 60 * 1000;       // sparkline spans
+const WEEKLY_SPAN_MS  = 7 * 24 * 60 * 60 * 1000;
+const TICK_SEC        = 60;   // countdown refresh, independent of polling
+const HOUR_MS         = 60 * 60 * 1000;
+const STALE_OPACITY   = 128;  // panel widgets while showing pre-failure values
 
 // ─── Progress bar widget ──────────────────────────────────────────────────────
 
 /**
- * A horizontal progress bar that changes colour at 80 % (orange) and 100 % (red).
- * Built from plain St.Bin widgets so it inherits the panel font metrics and
- * respects scaling factor.
+ * A horizontal progress bar filled in the colour of its usage level (see
+ * levels.js). Built from plain St.Bin widgets so it inherits the panel font metrics and
+ * respects scaling factor. Its size follows `bar-width` / `bar-height`.
  */
 const TokenBar = GObject.registerClass(
 class TokenBar extends St.BoxLayout {
-    _init(label) {
+    _init(label, width, height) {
         super._init({
             style_class: 'ct-row',
             vertical: false,
@@ -55,21 +95,36 @@ class TokenBar extends St.BoxLayout {
         });
         this.add_child(this._label);
 
-        // Track (background)
-        this._track = new St.Bin({
+        // Track (background); fill and the two markers are stacked in it
+        this._track = new St.Widget({
             style_class: 'ct-track',
-            width: BAR_WIDTH,
-            height: BAR_HEIGHT,
+            layout_manager: new Clutter.BinLayout(),
             y_align: Clutter.ActorAlign.CENTER,
         });
         this.add_child(this._track);
 
         // Fill
         this._fill = new St.Bin({
-            style_class: 'ct-fill ct-fill-normal',
-            height: BAR_HEIGHT,
+            style_class: 'ct-fill',
+            x_align: Clutter.ActorAlign.START,
+        });
+        this._track.add_child(this._fill);
+
+        // Projected level at reset time (hidden unless enabled)
+        this._marker = new St.Widget({
+            style_class: 'ct-marker',
+            x_align: Clutter.ActorAlign.START,
+            visible: false,
+        });
+        this._track.add_child(this._marker);
+
+        // Even-burn target for the time elapsed (hidden unless enabled)
+        this._paceMarker = new St.Widget({
+            style_class: 'ct-pace-marker',
+            x_align: Clutter.ActorAlign.START,
+            visible: false,
         });
-        this._track.set_child(this._fill);
+        this._track.add_child(this._paceMarker);
 
         // Numbers label (e.g. "48k / 200k")
         this._numbers = new St.Label({
@@ -79,42 +134,109 @@ class TokenBar extends St.BoxLayout {
         });
         this.add_child(this._numbers);
 
+        // Time to reset (e.g. "1h 12m"), if `show-countdown` is on
+        this._countdown = new St.Label({
+            text: '',
+            style_class: 'ct-countdown',
+            y_align: Clutter.ActorAlign.CENTER,
+        });
+        this.add_child(this._countdown);
+
         this._pct = 0;
+        this.setSize(width, height);
     }
 
     /**
-     * @param {number} used   – tokens used
-     * @param {number} limit  – token limit (> 0)
+     * @param {number} width – track width in px
+     * @param {number} height – track height in px
+     */
+    setSize(width, height) {
+        this._width = width;
+        this._track.set_size(width, height);
+        this._fill.height   = height;
+        this._marker.height = height;
+        this._paceMarker.height = height;
+        this._fill.width = Math.round(Math.min(this._pct, 1.0) * width);
+    }
+
+    /**
+     * @param {number} used   – tokens (or dollars) used
+     * @param {number} limit  – token limit or budget (> 0)
      * @param {boolean} showNumbers
+     * @param {string} [unit] – 'tokens' or 'usd', see _fmtAmount()
+     * @param {string} [color] – fill colour, from LevelRules.color()
      */
-    update(used, limit, showNumbers) {
-        if (limit <= 0) return;
+    update(used, limit, showNumbers, unit = 'tokens', color = null) {
+        if (limit <= 0) {
+            this.clear();
+            return;
+        }
 
+        this._track.remove_style_class_name('ct-track-reset');
         this._pct = Math.min(used / limit, 1.5); // cap visual at 150 %
-        const fillPx = Math.round(Math.min(this._pct, 1.0) * BAR_WIDTH);
+        const fillPx = Math.round(Math.min(this._pct, 1.0) * this._width);
 
         this._fill.width = fillPx;
-
-        // Colour class
-        this._fill.remove_style_class_name('ct-fill-normal');
-        this._fill.remove_style_class_name('ct-fill-warning');
-        this._fill.remove_style_class_name('ct-fill-critical');
-
-        if (this._pct >= 1.0) {
-            this._fill.add_style_class_name('ct-fill-critical');
-        } else if (this._pct >= 0.8) {
-            this._fill.add_style_class_name('ct-fill-warning');
-        } else {
-            this._fill.add_style_class_name('ct-fill-normal');
-        }
+        this._fill.style = color ? `background-color: ${color};` : null;
 
         if (showNumbers) {
-            this._numbers.text = ` ${_fmt(used)} / ${_fmt(limit)}`;
+            this._numbers.text = ` ${_fmtAmount(used, unit)} / ${_fmtAmount(limit, unit)}`;
         } else {
             this._numbers.text = '';
         }
     }
 
+    /** Empties the bar, e.g. when its window is not reported. */
+    clear() {
+        this._pct = 0;
+        this._fill.width = 0;
+        this._numbers.text = '';
+        this._countdown.text = '';
+        this._marker.hide();
+        this._paceMarker.hide();
+        this._track.remove_style_class_name('ct-track-reset');
+    }
+
+    /** The window's reset time passed; shown until the next poll has it. */
+    markReset() {
+        this.clear();
+        this._track.add_style_class_name('ct-track-reset');
+        this._numbers.text = ` ${_('reset')}`;
+    }
+
+    /** @param {string} text – e.g. "1h 12m", '' to hide */
+    setCountdown(text) {
+        this._countdown.text = text ? ` ${text}` : '';
+    }
+
+    /**
+     * Shows a tick where usage is projected to be at reset time.
+     *
+     * @param {number|null} fraction – projected used / limit, null to hide
+     */
+    setProjection(fraction) {
+        this._placeMarker(this._marker, fraction);
+    }
+
+    /**
+     * Shows a tick where usage would be by now at an even burn.
+     *
+     * @param {number|null} fraction – target used / limit, null to hide
+     */
+    setPace(fraction) {
+        this._placeMarker(this._paceMarker, fraction);
+    }
+
+    _placeMarker(marker, fraction) {
+        if (fraction === null) {
+            marker.hide();
+            return;
+        }
+        const x = Math.round(Math.min(fraction, 1.0) * this._width);
+        marker.translation_x = Math.max(0, x - 1);
+        marker.show();
+    }
+
     get percent() { return this._pct; }
 });
 
@@ -127,11 +249,15 @@ class ClaudeTokenIndicator extends PanelMenu.Button {
 
         this._ext     = extension;
         this._settings = extension.getSettings();
-        this._session  = new Soup.Session();
-        this._orgId    = null;
+        this._cancellable = new Gio.Cancellable();
+        this._session  = Client.createSession();
+        this._web      = new WebProvider(this._settings, this._session, () => this._rebuildOrgMenu(),
+            this._cancellable);
+        this._api      = new ApiProvider(this._settings, this._session, this._cancellable);
+        this._local    = null;       // LocalProvider while `usage-sources` includes it
 
         // ── Panel widget ────────────────────────────────────────────────────
-        const outerBox = new St.BoxLayout({
+        const outerBox = this._panelBox = new St.BoxLayout({
             style_class: 'ct-panel-box',
             vertical: false,
             y_align: Clutter.ActorAlign.CENTER,
@@ -145,41 +271,195 @@ class ClaudeTokenIndicator extends PanelMenu.Button {
         });
         outerBox.add_child(this._icon);
 
-        // Bars
-        const barsBox = new St.BoxLayout({
+        // Bars – one per quota selected in `panel-quotas`, see _syncBars()
+        this._barsBox = new St.BoxLayout({
             style_class: 'ct-bars-box',
             vertical: true,
             y_align: Clutter.ActorAlign.CENTER,
         });
-        outerBox.add_child(barsBox);
+        outerBox.add_child(this._barsBox);
+        this._bars = new Map();   // quota id → TokenBar
 
-        this._sessionBar = new TokenBar(_('5h '));
-        this._weeklyBar  = new TokenBar(_(' 7d '));
-        barsBox.add_child(this._sessionBar);
-        barsBox.add_child(this._weeklyBar);
+        // Compact modes: "42% · 18%" or a ring gauge of the panel quotas
+        this._panelText = new St.Label({
+            text: '–',
+            style_class: 'ct-panel-text',
+            y_align: Clutter.ActorAlign.CENTER,
+        });
+        outerBox.add_child(this._panelText);
+        this._ring = new UsageRing({y_align: Clutter.ActorAlign.CENTER});
+        outerBox.add_child(this._ring);
+        this._syncPanelMode();
 
         // ── Dropdown menu ───────────────────────────────────────────────────
         this._buildMenu();
 
         // ── State ───────────────────────────────────────────────────────────
-        this._lastSessionUsed = this._settings.get_int('last-session-used');
-        this._lastWeeklyUsed  = this._settings.get_int('last-weekly-used');
+        this._orgUsage = _loadJson(this._settings, 'org-usage', {});
+        this._usage    = new Map();   // org uuid → last parsed usage
+        this._payloads = new Map();   // org uuid → last raw payload
+        this._history  = new UsageHistory(this._settings);
+        this._notifier = new UsageNotifier(this._settings);
+        this._dbus     = new UsageService(() => this._scheduleNextPoll(0, true));
         this._timerId = null;
         this._currentInterval = this._settings.get_int('poll-interval-idle');
-        this._sessionResetTime = null;
-        this._weeklyResetTime = null;
+        this._failed   = new Map();   // provider → {failures, stopped, until, since, message} while it fails
+        this._roundStart = 0;         // when the current poll round began
+        this._errors   = [];          // [{time, text}] recent failures, newest first
+        this._reimported = new Set(); // accounts whose cookie was re-imported since the last good poll
+        this._sampledAt  = new Map(); // org uuid → time of its last history sample
+        this._rates    = new Map();   // quota id → tokens (or dollars) per ms, for the tooltip
+        this._activity = new ActivityMonitor(this._settings, reason => {
+            this._onPauseChanged(reason);
+        });
+        this._syncPauseItem();
+        this._resetTimes = [];        // [{id, label, short, reset}] for the countdowns
+        this._resetsSeen = new Set(); // "id@reset" already past, so each fetches once
+        this._tickId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, TICK_SEC, () => {
+            this._tick();
+            return GLib.SOURCE_CONTINUE;
+        });
+        this._syncProviders();
+
+        // Empty bars until the first poll tells which quotas exist
+        this._syncBars(this._settings.get_strv('panel-quotas')
+            .map(id => ({...Parser.describeQuota(id), id}))
+            .filter(q => q.scope !== 'local' || this._local));
 
         // Enable reactive for hover events
         this.reactive = true;
 
-        // Watch for credential changes
-        this._settingsChangedId = this._settings.connect('changed::session-cookie', () => {
-            this._orgId = null;
-            this._scheduleNextPoll(0);
+        this._settingsChangedIds = [
+            // Credential changes (written to the keyring by prefs.js)
+            this._settings.connect('changed::credential-revision', () => {
+                this._loadCredentials();
+            }),
+            this._settings.connect('changed::accounts', () => {
+                this._loadCredentials();
+            }),
+            // Network settings: reconfigure the session and resolve the orgs again
+            ...NETWORK_KEYS.map(key => this._settings.connect(`changed::${key}`, () => {
+                this._loadCredentials();
+            })),
+            this._settings.connect('changed::tracked-orgs', () => {
+                this._rebuildOrgMenu();
+                this._scheduleNextPoll(0);
+            }),
+            this._settings.connect('changed::active-org', () => {
+                this._onActiveOrgChanged();
+            }),
+            this._settings.connect('changed::custom-quota-mapping', () => {
+                this._scheduleNextPoll(0);
+            }),
+            this._settings.connect('changed::show-projection-marker', () => {
+                this._rerenderActive();
+            }),
+            this._settings.connect('changed::show-pace-marker', () => {
+                this._rerenderActive();
+            }),
+            this._settings.connect('changed::show-countdown', () => {
+                this._updateCountdowns();
+            }),
+            this._settings.connect('changed::panel-quotas', () => {
+                this._rerenderActive();
+            }),
+            this._settings.connect('changed::panel-mode', () => {
+                this._syncPanelMode();
+                this._rerenderActive();
+            }),
+            this._settings.connect('changed::bar-width', () => {
+                this._resizeBars();
+            }),
+            this._settings.connect('changed::bar-height', () => {
+                this._resizeBars();
+            }),
+            ...['warning-threshold', 'critical-threshold', 'level-thresholds',
+                'pace-coloring', 'pace-margin', 'color-palette', 'custom-colors'].map(key =>
+                this._settings.connect(`changed::${key}`, () => this._rerenderActive())),
+            this._settings.connect('changed::panel-variant', () => {
+                this._syncPanelMode();
+                this._rerenderActive();
+            }),
+            this._settings.connect('changed::breakdown-sort', () => {
+                this._rerenderActive();
+            }),
+            this._settings.connect('changed::usage-sources', () => {
+                this._syncProviders();
+                this._failed.clear();
+                this._rebuildOrgMenu();
+                this._rerenderActive();
+                this._scheduleNextPoll(0);
+            }),
+            this._settings.connect('changed::local-session-limit', () => {
+                this._pollLocal();
+            }),
+            this._settings.connect('changed::local-weekly-limit', () => {
+                this._pollLocal();
+            }),
+            this._settings.connect('changed::api-monthly-budget', () => {
+                this._scheduleNextPoll(0);
+            }),
+        ];
+
+        // Past samples for the sparklines
+        this._history.load((samples, err) => {
+            if (this._cancellable.is_cancelled()) return;
+            if (err) console.warn(`[claude-tokens] ${err}`);
+            this._history.compact();
+            const usage = this._displayUsage();
+            if (usage) this._updateSparklines(usage);
         });
 
-        // Initial fetch
-        this._scheduleNextPoll(1);
+        // Move a legacy GSettings cookie into the keyring, then do the
+        // initial fetch once the cookie is known. A successful migration
+        // bumps credential-revision, which already triggers the load.
+        Credentials.migrateFromSettings(this._settings, this._cancellable, migrated => {
+            if (!migrated && !this._cancellable.is_cancelled()) {
+                this._loadCredentials();
+            }
+        });
+    }
+
+    // ── Credentials ───────────────────────────────────────────────────────────
+
+    /**
+     * Reads the cookie of every configured account, the Admin API key and
+     * the proxy password from the keyring, then applies the network settings
+     * and polls.
+     */
+    _loadCredentials() {
+        const accounts = this._settings.get_strv('accounts');
+        const cookies  = new Map();
+
+        const next = i => {
+            if (this._cancellable.is_cancelled()) return;
+            if (i >= accounts.length) {
+                this._web.setCookies(cookies);
+                Credentials.lookupAdminKey(this._cancellable, (key, err) => {
+                    if (this._cancellable.is_cancelled()) return;
+                    if (err) console.warn(`[claude-tokens] Admin API key: ${err}`);
+                    this._api.setKey(key);
+                    Credentials.lookupProxyPassword(this._cancellable, (password, proxyErr) => {
+                        if (this._cancellable.is_cancelled()) return;
+                        if (proxyErr) console.warn(`[claude-tokens] Proxy password: ${proxyErr}`);
+                        Client.configureSession(this._session, this._settings, password);
+                        this._failed.clear();
+                        this._showStale();
+                        this._scheduleNextPoll(0);
+                    });
+                });
+                return;
+            }
+            Credentials.lookupSessionKey(accounts[i], this._cancellable, (key, err) => {
+                if (err) {
+                    console.warn(`[claude-tokens] ${accounts[i]}: ${err}`);
+                } else if (key) {
+                    cookies.set(accounts[i], key);
+                }
+                next(i + 1);
+            });
+        };
+        next(0);
     }
 
     // ── Menu ──────────────────────────────────────────────────────────────────
@@ -190,35 +470,100 @@ class ClaudeTokenIndicator extends PanelMenu.Button {
         this._statusItem.label.style_class = 'ct-menu-status';
         this.menu.addMenuItem(this._statusItem);
 
+        // Shown while polling is paused (offline, suspended, idle)
+        this._pauseItem = new PopupMenu.PopupMenuItem('', {reactive: false});
+        this._pauseItem.visible = false;
+        this.menu.addMenuItem(this._pauseItem);
+
+        // Organization switcher (filled once memberships are known)
+        this._orgSubMenu = new PopupMenu.PopupSubMenuMenuItem(_('Organization'));
+        this._orgSubMenu.visible = false;
+        this.menu.addMenuItem(this._orgSubMenu);
+
         this.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
 
-        // Session detail
-        this._sessionDetail = new PopupMenu.PopupMenuItem('', {reactive: false});
-        this.menu.addMenuItem(this._sessionDetail);
+        // Per-quota details (one row each, then a note while a source's
+        // values are from before a failed refresh)
+        this._detailSection = new PopupMenu.PopupMenuSection();
+        this.menu.addMenuItem(this._detailSection);
 
-        // Weekly detail
-        this._weeklyDetail = new PopupMenu.PopupMenuItem('', {reactive: false});
-        this.menu.addMenuItem(this._weeklyDetail);
+        // Burn-rate projections
+        this._paceSection = new PopupMenu.PopupMenuSection();
+        this.menu.addMenuItem(this._paceSection);
+
+        // Tokens per model / project, where the source has them
+        this._breakdownMenu = new PopupMenu.PopupSubMenuMenuItem(_('Breakdown'));
+        this._breakdownMenu.visible = false;
+        this.menu.addMenuItem(this._breakdownMenu);
+
+        // Usage history sparklines
+        const chartsItem = new PopupMenu.PopupBaseMenuItem({
+            reactive: false,
+            can_focus: false,
+        });
+        const chartsBox = new St.BoxLayout({
+            style_class: 'ct-charts-box',
+            vertical: true,
+            x_expand: true,
+        });
+        chartsItem.add_child(chartsBox);
+
+        this._sessionSpark = new Sparkline();
+        this._weeklySpark  = new Sparkline();
+        chartsBox.add_child(new St.Label({text: _('Last 5 hours'), style_class: 'ct-chart-label'}));
+        chartsBox.add_child(this._sessionSpark);
+        chartsBox.add_child(new St.Label({text: _('Last 7 days'), style_class: 'ct-chart-label'}));
+        chartsBox.add_child(this._weeklySpark);
+        this.menu.addMenuItem(chartsItem);
 
         this.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
 
         // Reset times
-        this._sessionResetItem = new PopupMenu.PopupMenuItem('', {reactive: false});
-        this._weeklyResetItem  = new PopupMenu.PopupMenuItem('', {reactive: false});
+        this._resetSection = new PopupMenu.PopupMenuSection();
         this._updatedItem = new PopupMenu.PopupMenuItem('', {reactive: false});
-        this.menu.addMenuItem(this._sessionResetItem);
-        this.menu.addMenuItem(this._weeklyResetItem);
+        this.menu.addMenuItem(this._resetSection);
         this.menu.addMenuItem(this._updatedItem);
 
+        // Last failures with their times, e.g. to see when a cookie expired
+        this._errorsMenu = new PopupMenu.PopupSubMenuMenuItem(_('Recent errors'));
+        this._errorsMenu.visible = false;
+        this.menu.addMenuItem(this._errorsMenu);
+
         this.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
 
         // Refresh now
         const refreshItem = new PopupMenu.PopupMenuItem(_('Refresh now'));
         refreshItem.connect('activate', () => {
-            this._scheduleNextPoll(0);
+            this.refresh();
         });
         this.menu.addMenuItem(refreshItem);
 
+        this._buildActionsMenu();
+
+        // Raw payload, for custom mappings and bug reports
+        this._copyRawItem = new PopupMenu.PopupMenuItem(_('Copy raw response'));
+        this._copyRawItem.setSensitive(false);
+        this._copyRawItem.connect('activate', () => {
+            this._copyRawPayload();
+        });
+        this.menu.addMenuItem(this._copyRawItem);
+
+        // Markdown table of the shown quotas, e.g. for a team report
+        this._copySummaryItem = new PopupMenu.PopupMenuItem(_('Copy summary'));
+        this._copySummaryItem.setSensitive(false);
+        this._copySummaryItem.connect('activate', () => {
+            this._copySummary();
+        });
+        this.menu.addMenuItem(this._copySummaryItem);
+
+        // The file chooser lives in the preferences window
+        const exportItem = new PopupMenu.PopupMenuItem(_('Export history…'));
+        exportItem.connect('activate', () => {
+            this._settings.set_boolean('export-requested', true);
+            this._ext.openPreferences();
+        });
+        this.menu.addMenuItem(exportItem);
+
         // Open preferences
         const prefsItem = new PopupMenu.PopupMenuItem(_('Settings…'));
         prefsItem.connect('activate', () => {
@@ -227,10 +572,327 @@ class ClaudeTokenIndicator extends PanelMenu.Button {
         this.menu.addMenuItem(prefsItem);
     }
 
+    /**
+     * Quick actions: claude.ai pages, pausing polling, snoozing alerts and
+     * copying. Pause and snooze are kept in settings (`paused-until`,
+     * `snoozed-until`) so they outlive a shell restart.
+     */
+    _buildActionsMenu() {
+        this._actionsMenu = new PopupMenu.PopupSubMenuMenuItem(_('Quick actions'));
+        this.menu.addMenuItem(this._actionsMenu);
+        const add = (label, callback) => {
+            const item = new PopupMenu.PopupMenuItem(label);
+            item.connect('activate', callback);
+            this._actionsMenu.menu.addMenuItem(item);
+            return item;
+        };
+
+        add(_('Open usage page'), () => _openUri(USAGE_PAGE_URL));
+        add(_('Open claude.ai settings'), () => _openUri(SETTINGS_PAGE_URL));
+        this._actionsMenu.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+
+        this._pauseHourItem = add(_('Pause polling for 1 hour'), () => {
+            this._settings.set_int64('paused-until', Date.now() + HOUR_MS);
+        });
+        this._pauseDayItem = add(_('Pause polling until tomorrow'), () => {
+            const tomorrow = new Date();
+            tomorrow.setHours(24, 0, 0, 0);
+            this._settings.set_int64('paused-until', tomorrow.getTime());
+        });
+        this._resumeItem = add(_('Resume polling'), () => {
+            this._settings.set_int64('paused-until', 0);
+        });
+        this._snoozeItem = add(_('Snooze warnings until reset'), () => {
+            this._settings.set_int64('snoozed-until', this._snoozeEnd() ?? 0);
+        });
+        this._unsnoozeItem = add('', () => {
+            this._settings.set_int64('snoozed-until', 0);
+        });
+        this._actionsMenu.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+
+        this._copyResetsItem = add(_('Copy reset times'), () => {
+            const lines = this._resetTimes
+                .filter(r => r.reset)
+                .map(r => `${r.label}: ${_fmtTime(Date.parse(r.reset))}`);
+            St.Clipboard.get_default().set_text(St.ClipboardType.CLIPBOARD, lines.join('\n'));
+        });
+        this._copyOrgItem = add(_('Copy org ID'), () => {
+            const active = this._web.activeOrg();
+            if (active) St.Clipboard.get_default().set_text(St.ClipboardType.CLIPBOARD, active.uuid);
+        });
+
+        this.menu.connect('open-state-changed', (_menu, open) => {
+            if (open) this._syncActions();
+        });
+    }
+
+    /** Shows the pause and snooze items that apply right now. */
+    _syncActions() {
+        const now = Date.now();
+        const paused = this._settings.get_int64('paused-until') > now;
+        this._pauseHourItem.visible = !paused;
+        this._pauseDayItem.visible  = !paused;
+        this._resumeItem.visible    = paused;
+
+        const snoozedUntil = this._settings.get_int64('snoozed-until');
+        const snoozed = snoozedUntil > now;
+        this._snoozeItem.visible = !snoozed;
+        this._snoozeItem.setSensitive(this._snoozeEnd() !== null);
+        this._unsnoozeItem.visible = snoozed;
+        if (snoozed) {
+            this._unsnoozeItem.label.text = _('Warnings snoozed until %s – unsnooze').format(_fmtTime(snoozedUntil));
+        }
+
+        this._copyResetsItem.setSensitive(this._resetTimes.some(r => r.reset));
+        this._copyOrgItem.setSensitive(this._web.activeOrg() !== null);
+    }
+
+    /**
+     * When "until reset" ends: the last reset of the shown windows at warning
+     * level or above, or else the next reset of any of them.
+     *
+     * @returns {number|null} epoch ms, null without a known reset
+     */
+    _snoozeEnd() {
+        const now = Date.now();
+        const quotas = (this._displayUsage()?.quotas ?? [])
+            .filter(q => q.reset && Date.parse(q.reset) > now);
+        if (quotas.length === 0) return null;
+
+        const rules = new LevelRules(this._settings);
+        const warned = quotas.filter(q => ['warning', 'critical'].includes(rules.level(q)));
+        const resets = (warned.length > 0 ? warned : quotas).map(q => Date.parse(q.reset));
+        return warned.length > 0 ? Math.max(...resets) : Math.min(...resets);
+    }
+
+    /** Polls right away, also while paused or stopped by an error. */
+    refresh() {
+        for (const state of this._failed.values()) {
+            state.stopped = false;
+            state.until = 0;
+        }
+        this._scheduleNextPoll(0, true);
+    }
+
+    /** Replaces a section's rows with one non-interactive row per line. */
+    _fillSection(section, lines) {
+        section.removeAll();
+        for (const line of lines) {
+            section.addMenuItem(new PopupMenu.PopupMenuItem(line, {reactive: false}));
+        }
+    }
+
+    /**
+     * Keeps one panel bar per quota listed in `panel-quotas`, in quota order.
+     * Quotas not listed are only shown in the dropdown.
+     */
+    _syncBars(quotas) {
+        const shown  = this._settings.get_strv('panel-quotas');
+        const wanted = quotas.filter(q => shown.includes(q.id));
+
+        for (const [id, bar] of this._bars) {
+            if (!wanted.some(q => q.id === id)) {
+                bar.destroy();
+                this._bars.delete(id);
+            }
+        }
+        wanted.forEach((q, i) => {
+            let bar = this._bars.get(q.id);
+            if (!bar) {
+                bar = new TokenBar(Parser.quotaShortLabel(q),
+                    this._settings.get_int('bar-width'), this._settings.get_int('bar-height'));
+                this._bars.set(q.id, bar);
+                this._barsBox.insert_child_at_index(bar, i);
+            } else {
+                this._barsBox.set_child_at_index(bar, i);
+            }
+        });
+    }
+
+    /** Shows the widgets of the selected `panel-mode`. */
+    _syncPanelMode() {
+        const mode = PANEL_MODES.includes(this._settings.get_string('panel-mode'))
+            ? this._settings.get_string('panel-mode') : 'bars';
+        this._icon.visible      = mode !== 'ring';
+        this._barsBox.visible   = mode === 'bars';
+        this._panelText.visible = mode === 'text';
+        this._ring.visible      = mode === 'ring';
+
+        if (this._settings.get_string('panel-variant') === 'light') {
+            this._panelBox.add_style_class_name('ct-panel-light');
+        } else {
+            this._panelBox.remove_style_class_name('ct-panel-light');
+        }
+    }
+
+    _resizeBars() {
+        const width  = this._settings.get_int('bar-width');
+        const height = this._settings.get_int('bar-height');
+        for (const bar of this._bars.values()) bar.setSize(width, height);
+        this._rerenderActive();
+    }
+
+    /**
+     * Percentages and ring of the panel quotas that have a limit; levels
+     * above normal are coloured as on the bars.
+     */
+    _updateCompact(quotas, rules, now) {
+        const shown = this._settings.get_strv('panel-quotas');
+        const panel = quotas.filter(q => shown.includes(q.id) && q.limit > 0);
+
+        const parts = panel.map(q => {
+            if (_hasReset(q, now)) return '–';
+            const pct = `${Math.round(q.used / q.limit * 100)}%`;
+            const level = rules.level(q);
+            return level === 'normal' ? pct : `<span foreground="${rules.color(level)}">${pct}</span>`;
+        });
+        this._panelText.clutter_text.set_markup(parts.length ? parts.join(' · ') : '–');
+
+        this._ring.setData(panel.map(q => (_hasReset(q, now)
+            ? null
+            : {fraction: q.used / q.limit, color: rules.color(rules.level(q))})));
+    }
+
+    /**
+     * @param {string} iconName
+     * @param {string|null} color – null for the panel's text colour
+     */
+    _setIcon(iconName, color) {
+        this._icon.icon_name = iconName;
+        this._icon.style = color ? `color: ${color};` : null;
+    }
+
+    /**
+     * One row per tracked org, with the error of its last fetch if any, and
+     * one per account that could not be resolved.
+     */
+    _rebuildOrgMenu() {
+        const web    = this._sources().includes(this._web);
+        const orgs   = web ? this._web.trackedOrgs() : [];
+        const failed = web ? [...this._web.accountErrors()] : [];
+        const active = this._web.activeOrg();
+        const problem = err => `${_errorKind(err.kind)}: ${err.message}`;
+
+        this._orgSubMenu.menu.removeAll();
+        for (const org of orgs) {
+            const err  = this._web.orgError(org);
+            const item = new PopupMenu.PopupMenuItem(err ? `${org.name} – ${problem(err)}` : org.name);
+            item.setOrnament(org.uuid === active?.uuid
+                ? PopupMenu.Ornament.CHECK
+                : PopupMenu.Ornament.NONE);
+            item.connect('activate', () => {
+                this._settings.set_string('active-org', org.uuid);
+            });
+            this._orgSubMenu.menu.addMenuItem(item);
+        }
+        for (const [account, err] of failed) {
+            this._orgSubMenu.menu.addMenuItem(
+                new PopupMenu.PopupMenuItem(`${account} – ${problem(err)}`, {reactive: false}));
+        }
+
+        this._orgSubMenu.label.text = active?.name ?? _('Organization');
+        this._orgSubMenu.visible = orgs.length > 1 || failed.length > 0;
+    }
+
+    _onActiveOrgChanged() {
+        this._rebuildOrgMenu();
+        if (!this._rerenderActive()) this._scheduleNextPoll(0);
+    }
+
+    /**
+     * Re-renders the cached usage of the active org and/or the local logs;
+     * false if there is none yet.
+     */
+    _rerenderActive() {
+        const usage = this._displayUsage();
+        if (usage) {
+            this._renderUsage(usage);
+            this._dbus.update(usage.owner, usage);
+        }
+        return !!usage;
+    }
+
+    /**
+     * What the panel shows: the active org's quotas, next to the Admin API
+     * totals and the local log windows when those sources are enabled.
+     *
+     * @returns {object|null} a usage object with the quotas of both, plus
+     *   `orgs` (the uuids it combines) and `owner` (the org named on D-Bus)
+     */
+    _displayUsage() {
+        const parts = [];
+        let owner = null;
+        if (this._sources().includes(this._web)) {
+            const active = this._web.activeOrg();
+            const usage  = active ? this._usage.get(active.uuid) : null;
+            if (usage) {
+                parts.push(usage);
+                owner = active;
+            }
+        }
+        const api = this._sources().includes(this._api) ? this._usage.get(API_ORG_ID) : null;
+        if (api) {
+            parts.push(api);
+            owner ??= {uuid: API_ORG_ID, name: _('Anthropic API')};
+        }
+        const local = this._local ? this._usage.get(LOCAL_ORG_ID) : null;
+        if (local) {
+            parts.push(local);
+            owner ??= {uuid: LOCAL_ORG_ID, name: _('Claude Code logs')};
+        }
+        if (parts.length === 0) return null;
+
+        return {
+            org: parts[0].org,
+            orgs: parts.map(u => u.org),
+            owner,
+            adapter: parts.map(u => u.adapter).join(' + '),
+            quotas: parts.flatMap(u => u.quotas),
+            breakdowns: Object.assign({}, ...parts.map(u => u.breakdowns)),
+            updated: parts.map(u => u.updated).sort().at(-1),
+        };
+    }
+
+    // ── Providers ─────────────────────────────────────────────────────────────
+
+    /** Providers enabled in `usage-sources`, in display order */
+    _sources() {
+        const enabled = this._settings.get_strv('usage-sources');
+        return [['claude.ai', this._web], ['api', this._api], ['local', this._local]]
+            .filter(([id, provider]) => provider && enabled.includes(id))
+            .map(([, provider]) => provider);
+    }
+
+    /** Starts or stops the local log provider to match `usage-sources`. */
+    _syncProviders() {
+        const wantLocal = this._settings.get_strv('usage-sources').includes('local');
+        if (wantLocal && !this._local) {
+            this._local = new LocalProvider(this._settings, () => this._pollLocal());
+        } else if (!wantLocal && this._local) {
+            this._local.destroy();
+            this._local = null;
+            this._usage.delete(LOCAL_ORG_ID);
+        }
+    }
+
+    /** Re-reads the local log windows between polls, e.g. after new lines. */
+    _pollLocal() {
+        this._local?.poll(results => {
+            for (const result of results) this._applyResult(result);
+        });
+    }
+
     // ── Polling ───────────────────────────────────────────────────────────────
 
-    _scheduleNextPoll(delaySec) {
+    /**
+     * @param {number} delaySec
+     * @param {boolean} [force] – poll even while paused (manual refresh)
+     */
+    _scheduleNextPoll(delaySec, force = false) {
         this._cancelTimer();
+        // A late callback (backoff, retry, keyring) after destroy() arms nothing
+        if (this._cancellable.is_cancelled()) return;
+        if (this._activity.reason && !force) return;
         this._timerId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, delaySec, () => {
             this._timerId = null;
             this._fetchData();
@@ -245,285 +907,610 @@ class ClaudeTokenIndicator extends PanelMenu.Button {
         }
     }
 
-    // ── HTTP helpers ──────────────────────────────────────────────────────────
+    /**
+     * Records a failed poll of one provider, with `text` and a note on what
+     * happens next for its rows. Authentication and setup errors stop
+     * polling it until the cookie or settings change (or "Refresh now" is
+     * used); everything else backs it off exponentially, or as long as the
+     * server asked via Retry-After. The other providers keep their schedule.
+     */
+    _backOff(provider, err, text) {
+        const state = this._failed.get(provider) ?? {failures: 0, stopped: false, until: 0};
+        state.since = this._roundStart;
+
+        let note;
+        if (err.kind === 'auth') {
+            state.stopped = true;
+            note = _('Polling stopped until the cookie is updated.');
+        } else if (err.kind === 'config') {
+            state.stopped = true;
+            note = _('Polling resumes once the settings change.');
+        } else {
+            state.until = Date.now() + Client.backoffDelay(state.failures++, err.retryAfter) * 1000;
+            note = this._activity.reason
+                ? this._pauseText()
+                : _('Next retry at %s').format(_fmtTime(state.until));
+        }
+        state.message = `${text}\n${note}`;
+        this._failed.set(provider, state);
+    }
 
-    _cookieHeader() {
-        const key = (this._settings.get_string('session-cookie') || '').trim();
-        if (!key) return null;
-        // Accept either the raw value or a full "sessionKey=…" string
-        return key.startsWith('sessionKey=') ? key : `sessionKey=${key}`;
+    /** Whether a round polls `provider`: it is healthy or its retry is due. */
+    _isDue(provider, now) {
+        const state = this._failed.get(provider);
+        return !state || (!state.stopped && state.until <= now);
     }
 
-    _get(url, callback) {
-        const cookie = this._cookieHeader();
-        if (!cookie) {
-            callback(null, 'No session cookie configured. Open Settings to add one.');
-            return;
+    /**
+     * Seconds until the next round: the poll interval while a provider is
+     * healthy, else its earliest retry. Null when every provider is stopped.
+     */
+    _nextDelay(tokensMoved) {
+        const interval = this._settings.get_int(tokensMoved ? 'poll-interval-active' : 'poll-interval-idle');
+        const now = Date.now();
+        const delay = Math.min(...this._sources().map(provider => {
+            const state = this._failed.get(provider);
+            if (!state) return interval;
+            return state.stopped ? Infinity : Math.max(0, Math.ceil((state.until - now) / 1000));
+        }));
+        return Number.isFinite(delay) ? delay : null;
+    }
+
+    /**
+     * Stops the timer while the activity monitor reports a pause reason, and
+     * polls the providers not stopped by an error right away once it clears.
+     */
+    _onPauseChanged(reason) {
+        this._syncPauseItem();
+        if (reason) {
+            this._cancelTimer();
+        } else {
+            this._scheduleNextPoll(0);
         }
+    }
 
-        const msg = Soup.Message.new('GET', url);
-        msg.request_headers.append('Cookie', cookie);
-        msg.request_headers.append('User-Agent',
-            'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 ' +
-            '(KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-        msg.request_headers.append('Accept', 'application/json');
-        msg.request_headers.append('Referer', 'https://claude.ai/');
-
-        this._session.send_and_read_async(
-            msg, GLib.PRIORITY_DEFAULT, null,
-            (sess, result) => {
-                try {
-                    const bytes = sess.send_and_read_finish(result);
-                    const status = msg.get_status();
-                    const body   = new TextDecoder().decode(bytes.get_data());
-
-                    if (status === 401 || status === 403) {
-                        callback(null, _('Authentication failed – check your session cookie.'));
-                        return;
-                    }
-                    if (status < 200 || status >= 300) {
-                        callback(null, `HTTP ${status}`);
-                        return;
-                    }
+    _syncPauseItem() {
+        const reason = this._activity.reason;
+        this._pauseItem.visible = reason !== null;
+        if (reason) this._pauseItem.label.text = this._pauseText();
+    }
 
-                    let json;
-                    try { json = JSON.parse(body); }
-                    catch (_) { callback(null, `Invalid JSON from server`); return; }
-                    callback(json, null);
-                } catch (e) {
-                    callback(null, `Network error: ${e.message}`);
-                }
-            }
-        );
+    /** Menu wording of the ActivityMonitor's pause reason */
+    _pauseText() {
+        switch (this._activity.reason) {
+        case 'paused':
+            return `${_('Paused until')} ${_fmtTime(this._settings.get_int64('paused-until'))}`;
+        case 'suspended': return _('Paused: suspended');
+        case 'offline':   return _('Paused: offline');
+        default:          return _('Paused: idle');
+        }
+    }
+
+    /**
+     * Shows a classified ClientError of `provider`, named after its account
+     * or org, and backs the provider off.
+     */
+    _showError(provider, err) {
+        const prefix = err.source ? `${err.source}: ` : '';
+        this._backOff(provider, err, `${prefix}${_errorKind(err.kind)}: ${err.message}`);
+        this._recordError(`${prefix}${_errorKind(err.kind)}: ${err.message}`);
+        this._showStale();
+        console.warn(`[claude-tokens] ${prefix}${err.kind}: ${err.message}`);
     }
 
     // ── Data fetching ─────────────────────────────────────────────────────────
 
+    /**
+     * Polls every selected provider that is due in turn, applies what they
+     * returned and schedules the next round. A failing provider backs off on
+     * its own while the others keep polling; a round for its retry polls
+     * the healthy ones too.
+     */
     _fetchData() {
-        if (!this._orgId) {
-            this._fetchAccount();
-        } else {
-            this._fetchUsage();
-        }
-    }
-
-    _fetchAccount() {
-        this._setStatus(_('Connecting…'));
-        this._get(ACCOUNT_ENDPOINT, (data, err) => {
-            if (err) { this._setStatus(err); this._scheduleNextPoll(60); return; }
-
-            // Response shape: { account: { memberships: [{organization: {uuid}}] } }
-            // or  { memberships: [...] }  depending on API version
-            try {
-                const memberships =
-                    data?.memberships ??
-                    data?.account?.memberships ??
-                    [];
-                const org = memberships?.[0]?.organization ?? memberships?.[0]?.workspace;
-                this._orgId = org?.uuid ?? org?.id ?? data?.id ?? null;
-
-                if (!this._orgId) {
-                    // Try alternate key locations
-                    this._orgId =
-                        data?.organization_uuid ??
-                        data?.default_organization?.uuid ??
-                        null;
-                }
+        const now = Date.now();
+        const providers = this._sources().filter(provider => this._isDue(provider, now));
+        if (providers.includes(this._web) && !this._web.resolved) {
+            this._setStatus(_('Connecting…'));
+        }
+        this._roundStart = now;
 
-                if (!this._orgId) {
-                    this._setStatus(_('Could not resolve organization ID.'));
-                    this._scheduleNextPoll(60);
-                    return;
-                }
-                this._fetchUsage();
-            } catch (e) {
-                this._setStatus(`Parse error: ${e.message}`);
-                this._scheduleNextPoll(60);
+        let tokensMoved = false;
+
+        const next = i => {
+            if (i < providers.length) {
+                const provider = providers[i];
+                provider.poll((results, err) => {
+                    if (this._cancellable.is_cancelled()) return;
+                    for (const result of results) {
+                        tokensMoved = this._applyResult(result) || tokensMoved;
+                    }
+                    if (err) {
+                        this._onPollError(provider, err);
+                    } else {
+                        if (provider === this._web) this._reimported.clear();
+                        if (this._failed.delete(provider)) this._showStale();
+                    }
+                    next(i + 1);
+                });
+                return;
+            }
+
+            const orgUsage = JSON.stringify(this._orgUsage);
+            if (orgUsage !== this._settings.get_string('org-usage')) {
+                this._settings.set_string('org-usage', orgUsage);
             }
+            // Org rows show the errors of this round
+            if (providers.includes(this._web)) this._rebuildOrgMenu();
+
+            // ── Adaptive polling ───────────────────────────────────────────
+            const delay = this._nextDelay(tokensMoved);
+            if (delay !== null) this._scheduleNextPoll(delay);
+        };
+        next(0);
+    }
+
+    _onPollError(provider, err) {
+        if (this._cancellable.is_cancelled()) return;
+        if (err.kind === 'auth' && this._reimportCookie(err)) return;
+        if (err instanceof Parser.ParseError && err.org) {
+            this._payloads.set(err.org.uuid, err.payload);
+            this._setPayloadError(provider, err.org, err);
+        } else if (err instanceof Client.ClientError) {
+            this._showError(provider, err);
+        } else {
+            this._showError(provider, new Client.ClientError(err.message, 'parse'));
+        }
+    }
+
+    /**
+     * With `cookie-auto-import`, answers a rejected cookie by reading the
+     * account's cookie from the browser again, once until the next good
+     * poll. Only a cookie that reaches the account's own orgs is taken, so
+     * with several accounts one never gets another's login. It goes to the
+     * keyring, whose change notification reloads it and polls again.
+     *
+     * @param {Client.ClientError} err – an auth error
+     * @returns {boolean} whether the import took over the error
+     */
+    _reimportCookie(err) {
+        const account = err.account;
+        if (!this._settings.get_boolean('cookie-auto-import') || !account ||
+            this._reimported.has(account)) return false;
+
+        this._reimported.add(account);
+        this._backOff(this._web, err, _('Cookie rejected, importing it from the browser…'));
+        this._showStale();
+        Browser.findSessionKeys(this._cancellable, (found, importErr) => {
+            if (this._cancellable.is_cancelled()) return;
+            if (importErr) console.warn(`[claude-tokens] Cookie import: ${importErr}`);
+            const candidates = found.filter(c => c.value !== this._web.cookie(account));
+            this._storeOwnCookie(account, candidates, err);
         });
+        return true;
     }
 
-    _fetchUsage() {
-        const url = `${CLAUDE_BASE}/organizations/${this._orgId}/rate_limit_status`;
-        this._get(url, (data, err) => {
-            if (err) {
-                this._setStatus(err);
-                this._scheduleNextPoll(60);
+    /** Stores the first of `candidates` that belongs to `account`. */
+    _storeOwnCookie(account, candidates, err) {
+        const [found, ...rest] = candidates;
+        if (!found) {
+            this._showError(this._web, err);
+            return;
+        }
+        this._web.ownsCookie(account, found.value, (owned, checkErr) => {
+            if (this._cancellable.is_cancelled()) return;
+            if (!owned) {
+                if (checkErr) console.warn(`[claude-tokens] ${account}: ${found.browser} cookie: ${checkErr.message}`);
+                this._storeOwnCookie(account, rest, err);
                 return;
             }
-
-            try {
-                this._applyUsageData(data);
-            } catch (e) {
-                this._setStatus(`Parse error: ${e.message}`);
-                this._scheduleNextPoll(60);
-            }
+            Credentials.storeSessionKey(account, found.value, this._cancellable, (ok, storeErr) => {
+                if (this._cancellable.is_cancelled()) return;
+                if (!ok) {
+                    console.warn(`[claude-tokens] ${account}: ${storeErr}`);
+                    this._showError(this._web, err);
+                    return;
+                }
+                Credentials.notifyChanged(this._settings);
+            });
         });
     }
 
     /**
-     * Parses the rate limit payload.  Claude.ai may return different shapes;
-     * we try several known patterns and fall back gracefully.
+     * Stores one org's fresh usage as its last-known usage, records it and
+     * refreshes the panel if the org is shown.
      *
-     * Known shapes (may change over time):
-     * {
-     *   "rate_limit_status": {
-     *     "message_limit": { "type": "window5Hour"|"weekly", "remaining": N, "total": N }
-     *   }
-     * }
-     * or flat array / object with window_type keys.
+     * @param {{org: object, usage: object, payload?: *}} result – from a provider
+     * @returns {boolean} whether tokens were consumed since the last poll
      */
-    _applyUsageData(data) {
+    _applyResult({org, usage, payload}) {
+        if (payload !== undefined) this._payloads.set(org.uuid, payload);
+        if (org.uuid === LOCAL_ORG_ID) this._fillLocalLimits(usage);
+        const {quotas} = usage;
+
+        // ── Per-org bookkeeping ────────────────────────────────────────────
+        const last = this._orgUsage[org.uuid] ?? {};
+        const tokensMoved = quotas.some(q => q.used > (last[q.id] ?? 0));
+
+        this._orgUsage[org.uuid] = Object.fromEntries(quotas.map(q => [q.id, q.used]));
+
+        // Log changes arrive about once a second; record them no more often
+        // than claude.ai is polled while active
+        const now = Date.now();
+        const gap = org.uuid === LOCAL_ORG_ID ? this._settings.get_int('poll-interval-active') * 1000 : 0;
+        if (now - (this._sampledAt.get(org.uuid) ?? 0) >= gap) {
+            this._sampledAt.set(org.uuid, now);
+            this._history.append({
+                time: now,
+                org: org.uuid,
+                quotas: Object.fromEntries(quotas.map(q => [q.id, {used: q.used, limit: q.limit}])),
+            });
+        }
+        this._recordKnownQuotas(quotas);
+
+        this._usage.set(org.uuid, usage);
+        this._notifier.check(org, usage, this._web.trackedOrgs().length > 1);
+
+        if (this._displayUsage()?.orgs.includes(org.uuid)) this._rerenderActive();
+
+        return tokensMoved;
+    }
+
+    /**
+     * Log windows without a configured limit borrow it from the active org's
+     * claude.ai quota of the same kind, once that is known.
+     */
+    _fillLocalLimits(usage) {
+        const active = this._web.activeOrg();
+        const web = active ? this._usage.get(active.uuid) : null;
+        for (const q of usage.quotas) {
+            if (q.limit > 0) continue;
+            q.limit = web?.quotas.find(w => w.kind === q.kind && !w.scope)?.limit ?? 0;
+        }
+    }
+
+    /** Lets prefs offer every quota seen so far for the panel. */
+    _recordKnownQuotas(quotas) {
+        const known = _loadJson(this._settings, 'known-quotas', []);
+        const added = quotas.filter(q => !known.some(k => k.id === q.id));
+        if (added.length === 0) return;
+        known.push(...added.map(({id, kind, scope}) => ({id, kind, scope})));
+        this._settings.set_string('known-quotas', JSON.stringify(known));
+    }
+
+    /** Shows one org's parsed usage in the bars, icon, menu and tooltip. */
+    _renderUsage(usage) {
         const showNumbers = this._settings.get_boolean('show-numbers');
+        const {quotas} = usage;
+        const now = Date.now();
+        const rules = new LevelRules(this._settings);
+        const byPace    = this._settings.get_boolean('pace-coloring');
+        const paceTicks = this._settings.get_boolean('show-pace-marker');
 
-        let sessionUsed = 0, sessionLimit = 1;
-        let weeklyUsed  = 0, weeklyLimit  = 1;
-        let sessionReset = null, weeklyReset = null;
-
-        // ── Try to extract values from various schemas ─────────────────────
-
-        // Schema A: { rate_limit_status: { message_limit: {...} } }
-        const rl = data?.rate_limit_status;
-        if (rl) {
-            const entries = Array.isArray(rl) ? rl : Object.values(rl);
-            for (const entry of entries) {
-                const type = entry?.type ?? '';
-                const rem  = _safeInt(entry?.remaining ?? entry?.tokens_remaining);
-                const tot  = _safeInt(entry?.total     ?? entry?.tokens_total ?? entry?.limit);
-                const used = tot - rem;
-                const reset = entry?.resetsAt ?? entry?.reset_at ?? entry?.resets_at ?? null;
-
-                if (/5.hour|5hour|window/i.test(type)) {
-                    sessionUsed  = used;  sessionLimit = tot; sessionReset = reset;
-                } else if (/week/i.test(type)) {
-                    weeklyUsed   = used;  weeklyLimit  = tot; weeklyReset  = reset;
-                }
+        // ── Update UI ──────────────────────────────────────────────────────
+        this._syncBars(quotas);
+        for (const q of quotas) {
+            const bar = this._bars.get(q.id);
+            if (!bar) continue;
+            if (_hasReset(q, now)) {
+                bar.markReset();
+                continue;
             }
+            const pace  = _pace(q, now);
+            const level = byPace ? higher(rules.level(q), rules.paceLevel(pace)) : rules.level(q);
+            bar.update(q.used, q.limit, showNumbers, q.unit, level ? rules.color(level) : null);
+            bar.setPace(paceTicks && pace ? pace.target : null);
+        }
+        this._updateCompact(quotas, rules, now);
+
+        // Update icon to reflect worst state, panel or not
+        const worst = rules.worst(quotas.filter(q => !_hasReset(q, now)));
+        if (worst === 'critical') {
+            this._setIcon('dialog-error-symbolic', rules.color(worst));
+        } else if (worst === 'warning') {
+            this._setIcon('dialog-warning-symbolic', rules.color(worst));
+        } else {
+            this._setIcon('utilities-system-monitor-symbolic', null);
         }
 
-        // Schema B: direct arrays of quota objects
-        const quotas = data?.quotas ?? data?.limits ?? data?.usage_limits ?? [];
-        for (const q of (Array.isArray(quotas) ? quotas : [])) {
-            const type = q?.window ?? q?.type ?? q?.period ?? '';
-            const used = _safeInt(q?.used ?? q?.tokens_used);
-            const limit = _safeInt(q?.limit ?? q?.tokens_limit ?? q?.total);
-            const reset = q?.reset_at ?? q?.resetsAt ?? null;
-            if (/5.hour|5hour|session|window/i.test(type)) {
-                sessionUsed = used; sessionLimit = limit; sessionReset = reset;
-            } else if (/week/i.test(type)) {
-                weeklyUsed = used; weeklyLimit = limit; weeklyReset = reset;
+        // Menu details
+        const line = q => (_hasReset(q, now)
+            ? `${Parser.quotaLabel(q)}: ${_('reset, awaiting refresh')}`
+            : q.limit > 0
+            ? `${Parser.quotaLabel(q)}: ${_fmtAmount(q.used, q.unit)} / ${_fmtAmount(q.limit, q.unit)}` +
+              `${q.unit === 'usd' ? '' : ' tokens'} (${Math.round(q.used / q.limit * 100)}%)`
+            : `${Parser.quotaLabel(q)}: ${_fmtAmount(q.used, q.unit)}` +
+              `${q.unit === 'usd' ? '' : ' tokens'}`);
+        this._fillSection(this._detailSection, quotas.length ? [] : [_('No quotas reported')]);
+        for (const org of usage.orgs) {
+            for (const q of this._usage.get(org).quotas) {
+                this._detailSection.addMenuItem(new PopupMenu.PopupMenuItem(line(q), {reactive: false}));
+            }
+            const note = this._staleNote(org);
+            if (note) {
+                const item = new PopupMenu.PopupMenuItem(note, {reactive: false});
+                item.label.style_class = 'ct-stale-note';
+                this._detailSection.addMenuItem(item);
             }
         }
 
-        // Schema C: flat keys  token_5hour_used / token_5hour_limit etc.
-        if (sessionLimit <= 1) {
-            for (const [k, v] of Object.entries(data ?? {})) {
-                if (/5.?hour/i.test(k)) {
-                    if (/used/i.test(k))  sessionUsed  = _safeInt(v);
-                    if (/limit|total/i.test(k)) sessionLimit = _safeInt(v);
-                }
-                if (/week/i.test(k)) {
-                    if (/used/i.test(k))  weeklyUsed   = _safeInt(v);
-                    if (/limit|total/i.test(k)) weeklyLimit  = _safeInt(v);
+        // Reset times for the countdowns in the menu, tooltip and panel
+        this._resetTimes = quotas.map(q => ({
+            id: q.id,
+            label: Parser.quotaLabel(q),
+            short: Parser.quotaShortLabel(q),
+            reset: q.reset,
+        }));
+        this._updatedItem.label.text =
+            `Last updated: ${_fmtDate(usage.updated)} · ${usage.adapter}`;
+        this._copyRawItem.setSensitive(true);
+        this._copySummaryItem.setSensitive(quotas.length > 0);
+
+        this._updateSparklines(usage);
+        this._updateProjections(usage);
+        this._updateBreakdown(usage);
+        this._syncStale(usage);
+        this._updateCountdowns();
+    }
+
+    /**
+     * Extrapolates the recent burn rate of every quota into the menu and,
+     * if enabled, the bar markers.
+     */
+    _updateProjections(usage) {
+        const now     = Date.now();
+        const samples = this._history.query(usage.orgs, now - Projection.WEEKLY_LOOKBACK_MS);
+        const showMarker = this._settings.get_boolean('show-projection-marker');
+
+        const lines = [];
+        for (const q of usage.quotas) {
+            if (!(q.limit > 0)) continue;
+            const lookback = q.kind === 'session'
+                ? Projection.SESSION_LOOKBACK_MS
+                : Projection.WEEKLY_LOOKBACK_MS;
+            const rate = Projection.burnRate(samples, q.id, now, lookback);
+            const p = Projection.project(q.used, q.limit, q.reset, rate, now);
+            this._rates.set(q.id, rate);
+
+            const ahead = _fmtPaceDelta(_pace(q, now));
+            lines.push(`${_('%s pace:').format(Parser.quotaShortLabel(q))}  ${ahead ? `${ahead} · ` : ''}${_fmtPace(p, now)}`);
+            this._bars.get(q.id)?.setProjection(showMarker ? p.atReset : null);
+        }
+        this._fillSection(this._paceSection, lines);
+    }
+
+    /**
+     * Lists each window's tokens per model and per project with their
+     * input / output / cache splits, largest share first or by name
+     * (`breakdown-sort`).
+     */
+    _updateBreakdown(usage) {
+        const menu   = this._breakdownMenu.menu;
+        const byName = this._settings.get_string('breakdown-sort') === 'name';
+        menu.removeAll();
+
+        const sortItem = new PopupMenu.PopupMenuItem(byName ? _('Sort by share') : _('Sort by name'));
+        sortItem.connect('activate', () => {
+            this._settings.set_string('breakdown-sort', byName ? 'share' : 'name');
+        });
+        menu.addMenuItem(sortItem);
+
+        const tokens = row => row.input + row.output + row.cacheRead + row.cacheWrite;
+        let shown = false;
+        for (const q of usage.quotas) {
+            const groups = usage.breakdowns?.[q.id];
+            if (!groups) continue;
+
+            for (const [title, rows] of [[_('by model'), groups.models], [_('by project'), groups.projects]]) {
+                if (!rows?.length) continue;
+                const total  = rows.reduce((t, row) => t + tokens(row), 0);
+                const sorted = [...rows].sort(byName
+                    ? (a, b) => a.name.localeCompare(b.name)
+                    : (a, b) => tokens(b) - tokens(a));
+
+                const header = new PopupMenu.PopupMenuItem(`${Parser.quotaLabel(q)} – ${title}`,
+                    {reactive: false});
+                header.label.style_class = 'ct-breakdown-header';
+                menu.addMenuItem(header);
+                for (const row of sorted) {
+                    const share = total > 0 ? Math.round(tokens(row) / total * 100) : 0;
+                    const item = new PopupMenu.PopupMenuItem(
+                        `${row.name}  ${share}%  ${_fmt(tokens(row))}\n` +
+                        `${_('in')} ${_fmt(row.input)} · ${_('out')} ${_fmt(row.output)} · ` +
+                        `${_('cache read')} ${_fmt(row.cacheRead)} · ${_('cache write')} ${_fmt(row.cacheWrite)}`,
+                        {reactive: false});
+                    item.label.style_class = 'ct-breakdown-row';
+                    menu.addMenuItem(item);
                 }
+                shown = true;
             }
         }
+        this._breakdownMenu.visible = shown;
+    }
 
-        // ── Adaptive polling ───────────────────────────────────────────────
-        const last = {
-            s: this._lastSessionUsed,
-            w: this._lastWeeklyUsed,
-        };
-        const tokensMoved =
-            sessionUsed > last.s || weeklyUsed > last.w;
+    /** Redraws the history sparklines of the first 5-hour and weekly quota shown. */
+    _updateSparklines(usage) {
+        const now = Date.now();
+        const idOf = kind => usage.quotas.find(q => q.kind === kind && q.limit > 0)?.id;
+        const points = (span, id) => this._history.query(usage.orgs, now - span)
+            .filter(s => s.quotas[id]?.limit > 0)
+            .map(s => [s.time, s.quotas[id].used / s.quotas[id].limit]);
 
-        const idleInterval   = this._settings.get_int('poll-interval-idle');
-        const activeInterval = this._settings.get_int('poll-interval-active');
-        const nextInterval   = tokensMoved ? activeInterval : idleInterval;
+        this._sessionSpark.setData(points(SESSION_SPAN_MS, idOf('session')), SESSION_SPAN_MS);
+        this._weeklySpark.setData(points(WEEKLY_SPAN_MS, idOf('weekly')), WEEKLY_SPAN_MS);
+    }
 
-        this._lastSessionUsed = sessionUsed;
-        this._lastWeeklyUsed  = weeklyUsed;
-        this._settings.set_int('last-session-used', sessionUsed);
-        this._settings.set_int('last-weekly-used',  weeklyUsed);
+    /**
+     * The payload did not match any known shape (or matched ambiguously).
+     * Shown as its own state rather than as empty bars; the raw JSON can be
+     * copied from the menu to write a custom mapping or a bug report.
+     */
+    _setPayloadError(provider, org, err) {
+        this._backOff(provider, new Client.ClientError(err.message, 'parse'),
+            `${_('Payload not understood')}: ${err.message}`);
+        this._recordError(`${org.name}: ${_('Payload not understood')}: ${err.message}`);
+        this._showStale();
+        this._setIcon('dialog-question-symbolic', new LevelRules(this._settings).color('warning'));
+        this._copyRawItem.setSensitive(this._payloads.has(org.uuid));
+        console.warn(`[claude-tokens] ${org.name}: payload not understood (${err.kind}): ${err.message}`);
+    }
 
-        // ── Update UI ──────────────────────────────────────────────────────
-        this._sessionBar.update(sessionUsed, sessionLimit, showNumbers);
-        this._weeklyBar.update(weeklyUsed,   weeklyLimit,  showNumbers);
+    /** Copies the last raw rate-limit payload of the active org. */
+    _copyRawPayload() {
+        const active = this._web.activeOrg();
+        const data   = active ? this._payloads.get(active.uuid) : undefined;
+        if (data === undefined) return;
+        St.Clipboard.get_default().set_text(St.ClipboardType.CLIPBOARD,
+            JSON.stringify(data, null, 2));
+    }
 
-        // Update icon to reflect worst state
-        const maxPct = Math.max(
-            sessionLimit > 0 ? sessionUsed / sessionLimit : 0,
-            weeklyLimit  > 0 ? weeklyUsed  / weeklyLimit  : 0
-        );
-        if (maxPct >= 1.0) {
-            this._icon.icon_name = 'dialog-error-symbolic';
-            this._icon.remove_style_class_name('ct-icon-warning');
-            this._icon.add_style_class_name('ct-icon-critical');
-        } else if (maxPct >= 0.8) {
-            this._icon.icon_name = 'dialog-warning-symbolic';
-            this._icon.remove_style_class_name('ct-icon-critical');
-            this._icon.add_style_class_name('ct-icon-warning');
-        } else {
-            this._icon.icon_name = 'utilities-system-monitor-symbolic';
-            this._icon.remove_style_class_name('ct-icon-warning');
-            this._icon.remove_style_class_name('ct-icon-critical');
+    /** Copies the shown quotas as a Markdown table. */
+    _copySummary() {
+        const usage = this._displayUsage();
+        if (!usage) return;
+        St.Clipboard.get_default().set_text(St.ClipboardType.CLIPBOARD,
+            Export.summaryMarkdown(usage.owner.name, usage.quotas, Date.now()));
+    }
+
+    _setStatus(msg) {
+        this._statusItem.label.text = msg;
+    }
+
+    /**
+     * Shows what the failing providers left: their last values stay on
+     * screen, each with its provider's error underneath, until it polls
+     * successfully again.
+     */
+    _showStale() {
+        if (!this._rerenderActive()) this._syncStale(null);
+        this._updateTooltip(Date.now());
+    }
+
+    /**
+     * Puts the errors of failing providers without rows of their own in the
+     * status line, and dims the panel while all it shows is stale.
+     */
+    _syncStale(usage) {
+        const shown = usage?.orgs ?? [];
+        const rowless = [...this._failed]
+            .filter(([provider]) => !shown.some(org => this._providerOf(org) === provider))
+            .map(([, state]) => state.message);
+        this._setStatus(rowless.length > 0 ? rowless.join('\n') : _('Claude token usage'));
+        this._panelBox.opacity = this._allStale(usage) ? STALE_OPACITY : 255;
+    }
+
+    /**
+     * The note under an org's rows while they are from before its
+     * provider's last failed poll, or null.
+     */
+    _staleNote(org) {
+        const state = this._failed.get(this._providerOf(org));
+        const updated = Date.parse(this._usage.get(org)?.updated);
+        if (!state || !(updated < state.since)) return null;
+        return `${state.message}\n${_('Showing values from %s – the last refresh failed')
+            .format(_fmtTime(updated))}`;
+    }
+
+    /** Whether every shown value is from before a failed poll */
+    _allStale(usage) {
+        return !!usage && usage.orgs.every(org => this._staleNote(org) !== null);
+    }
+
+    /** The provider an org's usage comes from */
+    _providerOf(org) {
+        if (org === API_ORG_ID) return this._api;
+        if (org === LOCAL_ORG_ID) return this._local;
+        return this._web;
+    }
+
+    /** Adds a failure to "Recent errors", keeping `error-history-size`. */
+    _recordError(text) {
+        this._errors.unshift({time: Date.now(), text});
+        this._errors.length = Math.min(this._errors.length,
+            this._settings.get_int('error-history-size'));
+        this._fillErrors();
+    }
+
+    _fillErrors() {
+        const menu = this._errorsMenu.menu;
+        menu.removeAll();
+        for (const {time, text} of this._errors) {
+            menu.addMenuItem(new PopupMenu.PopupMenuItem(`${_fmtTime(time)}  ${text}`,
+                {reactive: false}));
         }
+        const clearItem = new PopupMenu.PopupMenuItem(_('Clear'));
+        clearItem.connect('activate', () => {
+            this._errors = [];
+            this._fillErrors();
+        });
+        menu.addMenuItem(clearItem);
 
-        // Menu details
-        const sPct = sessionLimit > 0 ? Math.round(sessionUsed / sessionLimit * 100) : 0;
-        const wPct = weeklyLimit  > 0 ? Math.round(weeklyUsed  / weeklyLimit  * 100) : 0;
-
-        this._statusItem.label.text = _('Claude token usage');
-        this._sessionDetail.label.text =
-            `5-hour window: ${_fmt(sessionUsed)} / ${_fmt(sessionLimit)} tokens (${sPct}%)`;
-        this._weeklyDetail.label.text =
-            `Weekly quota:  ${_fmt(weeklyUsed)} / ${_fmt(weeklyLimit)} tokens (${wPct}%)`;
-        
-        // Store reset times for tooltip
-        this._sessionResetTime = sessionReset;
-        this._weeklyResetTime = weeklyReset;
-        
-        // Update reset time displays in menu
-        this._sessionResetItem.label.text =
-            sessionReset
-                ? `5h resets:  ${_fmtDate(sessionReset)}`
-                : '5h resets:  Unknown';
-        this._weeklyResetItem.label.text =
-            weeklyReset
-                ? `7d resets:  ${_fmtDate(weeklyReset)}`
-                : '7d resets:  Unknown';
-        this._updatedItem.label.text =
-            `Last updated: ${_fmtDate(new Date().toISOString())}`;
-        
-        // Update tooltip
-        this._updateTooltip();
+        this._errorsMenu.label.text = `${_('Recent errors')} (${this._errors.length})`;
+        this._errorsMenu.visible = this._errors.length > 0;
+    }
+
+    // ── Countdowns ────────────────────────────────────────────────────────────
 
-        this._scheduleNextPoll(nextInterval);
+    /**
+     * Runs once a minute, between polls. Refreshes the countdowns and, once
+     * a reset time has passed, shows that window as reset and fetches the
+     * new one.
+     */
+    _tick() {
+        const now = Date.now();
+        const passed = this._resetTimes.filter(({id, reset}) =>
+            reset && Date.parse(reset) <= now && !this._resetsSeen.has(`${id}@${reset}`));
+        if (passed.length === 0) {
+            this._updateCountdowns();
+            return;
+        }
+
+        for (const {id, reset} of passed) this._resetsSeen.add(`${id}@${reset}`);
+        this._rerenderActive();
+        this._scheduleNextPoll(0);
     }
 
-    _setStatus(msg) {
-        this._statusItem.label.text = msg;
-        this._sessionDetail.label.text = '';
-        this._weeklyDetail.label.text  = '';
+    /** Relative reset times in the menu, the tooltip and optionally the bars. */
+    _updateCountdowns() {
+        const now = Date.now();
+        const inPanel = this._settings.get_boolean('show-countdown');
+
+        this._fillSection(this._resetSection, this._resetTimes.map(({short, reset}) =>
+            `${short} ${_resetText(reset, now)}${reset ? `  (${_fmtDate(reset)})` : ''}`));
+        for (const {id, reset} of this._resetTimes) {
+            const passed = reset && Date.parse(reset) <= now;
+            this._bars.get(id)?.setCountdown(inPanel && reset && !passed
+                ? _fmtCountdown(Date.parse(reset) - now) : '');
+        }
+        this._updateTooltip(now);
     }
 
     // ── Tooltip ───────────────────────────────────────────────────────────────
 
-    _updateTooltip() {
+    /**
+     * One line per shown quota with its level, time to reset and burn rate,
+     * then the age of the data.
+     */
+    _updateTooltip(now) {
+        const usage = this._displayUsage();
         const lines = [];
-        
-        if (this._sessionResetTime) {
-            lines.push(`5h window resets: ${_fmtDate(this._sessionResetTime)}`);
-        } else {
-            lines.push('5h window resets: Unknown');
+        for (const q of usage?.quotas ?? []) {
+            const amount = q.limit > 0
+                ? `${Math.round(q.used / q.limit * 100)}%`
+                : `${_fmtAmount(q.used, q.unit)}${q.unit === 'usd' ? '' : ' tokens'}`;
+            const rate = this._rates.get(q.id);
+            lines.push([
+                `${Parser.quotaLabel(q)}: ${amount}`,
+                _resetText(q.reset, now),
+                ...(rate > 0 ? [`${_fmtAmount(rate * HOUR_MS, q.unit)}/h`] : []),
+            ].join(' · '));
         }
-        
-        if (this._weeklyResetTime) {
-            lines.push(`Weekly quota resets: ${_fmtDate(this._weeklyResetTime)}`);
+        if (usage) {
+            const age = `${_('Updated')} ${_fmtAge(now - Date.parse(usage.updated))}`;
+            lines.push('', this._allStale(usage) ? `${age} – ${_('stale, the last refresh failed')}` : age);
         } else {
-            lines.push('Weekly quota resets: Unknown');
+            lines.push(this._statusItem.label.text);
         }
-        
+
         const tooltipText = lines.join('\n');
         
         // Create or update tooltip
@@ -581,19 +1568,31 @@ class ClaudeTokenIndicator extends PanelMenu.Button {
             this._tooltip = null;
         }
         this._cancelTimer();
-        if (this._settingsChangedId) {
-            this._settings.disconnect(this._settingsChangedId);
-            this._settingsChangedId = null;
+        GLib.source_remove(this._tickId);
+        this._cancellable.cancel();
+        this._activity.destroy();
+        this._web.destroy();
+        this._api.destroy();
+        this._local?.destroy();
+        this._history.destroy();
+        this._dbus.destroy();
+        for (const id of this._settingsChangedIds) {
+            this._settings.disconnect(id);
         }
+        this._settingsChangedIds = [];
         super.destroy();
     }
 });
 
 // ─── Utility helpers ──────────────────────────────────────────────────────────
 
-function _safeInt(v) {
-    const n = parseInt(v, 10);
-    return isFinite(n) ? n : 0;
+/** Reads a JSON-encoded string setting, falling back on parse errors */
+function _loadJson(settings, key, fallback) {
+    try {
+        return JSON.parse(settings.get_string(key)) ?? fallback;
+    } catch (_) {
+        return fallback;
+    }
 }
 
 /** Format large numbers:  1234567 → "1.2M",  48000 → "48k" */
@@ -603,6 +1602,12 @@ function _fmt(n) {
     return String(n);
 }
 
+/** Like _fmt(), but dollars for spend quotas (`unit` 'usd') */
+function _fmtAmount(n, unit) {
+    if (unit !== 'usd') return _fmt(n);
+    return n >= 1_000 ? `$${_fmt(Math.round(n))}` : `$${n.toFixed(2)}`;
+}
+
 /** Render an ISO-8601 string as a human-readable local time */
 function _fmtDate(iso) {
     try {
@@ -616,18 +1621,146 @@ function _fmtDate(iso) {
     }
 }
 
+/** Menu wording of a ClientError kind */
+function _errorKind(kind) {
+    switch (kind) {
+    case 'auth':         return _('Authentication error');
+    case 'rate-limited': return _('Rate limited');
+    case 'server':       return _('Server error');
+    case 'network':      return _('Network error');
+    case 'config':       return _('Setup needed');
+    default:             return _('Parse error');
+    }
+}
+
+/** Opens a web page in the default browser. */
+function _openUri(uri) {
+    try {
+        Gio.AppInfo.launch_default_for_uri(uri, global.create_app_launch_context(0, -1));
+    } catch (e) {
+        Main.notifyError(_('Could not open the browser'), e.message);
+    }
+}
+
+/** Render epoch ms as "14:32" today, or with the date otherwise */
+function _fmtTime(ms) {
+    const d = new Date(ms);
+    if (d.toDateString() !== new Date().toDateString()) {
+        return _fmtDate(d.toISOString());
+    }
+    return d.toLocaleTimeString(undefined, {hour: '2-digit', minute: '2-digit'});
+}
+
+/** Whether a quota's reset time has passed since it was fetched */
+function _hasReset(q, now) {
+    return Boolean(q.reset) && Date.parse(q.reset) <= now;
+}
+
+/** Time left, e.g. "2d 5h", "1h 12m", "7m"; rounded up to the minute */
+function _fmtCountdown(ms) {
+    const minutes = Math.max(1, Math.ceil(ms / 60000));
+    const days  = Math.floor(minutes / 1440);
+    const hours = Math.floor(minutes % 1440 / 60);
+    if (days > 0)  return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${minutes % 60}m`;
+    return `${minutes}m`;
+}
+
+/** "just now", "5m ago", "2h 3m ago" */
+function _fmtAge(ms) {
+    if (!(ms >= 60000)) return _('just now');
+    return `${_fmtCountdown(Math.floor(ms / 60000) * 60000)} ${_('ago')}`;
+}
+
+/** "resets in 1h 12m", or the state once the reset time passed */
+function _resetText(reset, now) {
+    if (!reset) return _('reset time unknown');
+    const left = Date.parse(reset) - now;
+    if (!Number.isFinite(left)) return _('reset time unknown');
+    return left > 0 ? `${_('resets in')} ${_fmtCountdown(left)}` : _('reset, awaiting refresh');
+}
+
+/** Projection.pace() of a quota with a fixed-length window */
+function _pace(q, now) {
+    return Projection.pace(q.used, q.limit, q.reset, Projection.WINDOW_MS[q.kind], now);
+}
+
+/** "+12% ahead of pace", "8% behind pace", '' without a pace */
+function _fmtPaceDelta(pace) {
+    if (!pace) return '';
+    const points = Math.round(pace.delta * 100);
+    if (points > 0) return _('+%d%% ahead of pace').format(points);
+    if (points < 0) return _('%d%% behind pace').format(-points);
+    return _('on pace');
+}
+
+/** Describe a Projection.project() result in one line */
+function _fmtPace(p, now) {
+    if (p.rate === null) return _('not enough data yet');
+    if (p.hitTime !== null && p.hitTime <= now) return _('limit reached');
+
+    const hasReset = p.resetTime !== null;
+    if (p.hitTime !== null && (!hasReset || p.hitTime < p.resetTime)) {
+        return hasReset
+            ? _('at this pace you hit 100%% at %s (before reset at %s)')
+                .format(_fmtTime(p.hitTime), _fmtTime(p.resetTime))
+            : _('at this pace you hit 100%% at %s').format(_fmtTime(p.hitTime));
+    }
+    if (p.atReset !== null) {
+        const pct = Math.round(p.atReset * 100);
+        return hasReset
+            ? _('at this pace ~%d%% at reset at %s').format(pct, _fmtTime(p.resetTime))
+            : _('at this pace ~%d%% at reset').format(pct);
+    }
+    return _('no recent usage');
+}
+
 // ─── Extension entry point ────────────────────────────────────────────────────
 
 export default class ClaudeTokensExtension extends Extension {
     enable() {
+        this._settings  = this.getSettings();
         this._indicator = new ClaudeTokenIndicator(this);
-        Main.panel.addToStatusArea(this.uuid, this._indicator);
+        Main.panel.addToStatusArea(this.uuid, this._indicator,
+            this._settings.get_int('panel-index'), this._panelBox());
+
+        this._placementIds = ['panel-box', 'panel-index'].map(key =>
+            this._settings.connect(`changed::${key}`, () => this._movePanelButton()));
+
+        for (const [key, action] of Object.entries(SHORTCUTS)) {
+            Main.wm.addKeybinding(key, this._settings, Meta.KeyBindingFlags.IGNORE_AUTOREPEAT,
+                Shell.ActionMode.NORMAL | Shell.ActionMode.OVERVIEW, () => action(this._indicator));
+        }
     }
 
     disable() {
+        for (const key of Object.keys(SHORTCUTS)) Main.wm.removeKeybinding(key);
+        for (const id of this._placementIds ?? []) this._settings.disconnect(id);
+        this._placementIds = null;
+        this._settings = null;
         if (this._indicator) {
             this._indicator.destroy();
             this._indicator = null;
         }
     }
+
+    /** `panel-box` as accepted by addToStatusArea() */
+    _panelBox() {
+        const box = this._settings.get_string('panel-box');
+        return ['left', 'center', 'right'].includes(box) ? box : 'right';
+    }
+
+    /** Re-inserts the indicator where `panel-box` / `panel-index` say. */
+    _movePanelButton() {
+        const boxes = {
+            left: Main.panel._leftBox,
+            center: Main.panel._centerBox,
+            right: Main.panel._rightBox,
+        };
+        const container = this._indicator.container;
+        const target = boxes[this._panelBox()];
+        container.get_parent()?.remove_child(container);
+        target.insert_child_at_index(container,
+            Math.min(this._settings.get_int('panel-index'), target.get_n_children()));
+    }
 }
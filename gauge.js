@@ -0,0 +1,74 @@
+/**
+ * Claude Token Monitor – Ring gauge widget
+ *
+ * A Cairo-drawn circular gauge for the compact "ring" panel mode: one
+ * concentric ring per panel quota, outermost first, each filled clockwise
+ * from 12 o'clock in the colour of its usage level (see levels.js). The
+ * size comes from the widget's CSS.
+ */
+
+import GObject from 'gi://GObject';
+import St from 'gi://St';
+
+// ─── Constants ───────────────────────────────────────────────────────────────
+
+const MAX_RINGS = 3;
+
+// ─── Widget ──────────────────────────────────────────────────────────────────
+
+export const UsageRing = GObject.registerClass(
+class UsageRing extends St.DrawingArea {
+    _init(params = {}) {
+        super._init({
+            style_class: 'ct-ring',
+            ...params,
+        });
+
+        this._rings = [];   // {fraction, color} per ring, null for an empty one
+    }
+
+    /**
+     * @param {Array<{fraction: number, color: string}|null>} rings – used /
+     *   limit and a "#rrggbb" colour, outermost ring first; null draws just
+     *   the track (window reset or not reported)
+     */
+    setData(rings) {
+        this._rings = rings.slice(0, MAX_RINGS);
+        this.queue_repaint();
+    }
+
+    vfunc_repaint() {
+        const cr = this.get_context();
+        const [width, height] = this.get_surface_size();
+        const n    = Math.max(1, this._rings.length);
+        const size = Math.min(width, height);
+        const line = size / (3 * n + 1);   // rings with half a ring's gap
+        const top  = -Math.PI / 2;
+        const fg   = this.get_theme_node().get_foreground_color();
+
+        cr.setLineWidth(line);
+        for (let i = 0; i < n; i++) {
+            const radius = size / 2 - line * (0.5 + 1.5 * i);
+            const ring = this._rings[i] ?? null;
+
+            // Track in the text colour, faint as the bars' track
+            cr.setSourceRGBA(fg.red / 255, fg.green / 255, fg.blue / 255, 0.18);
+            cr.arc(width / 2, height / 2, radius, 0, 2 * Math.PI);
+            cr.stroke();
+
+            if (ring === null || ring.fraction <= 0) continue;
+            const [r, g, b] = _rgb(ring.color);
+            cr.setSourceRGBA(r, g, b, 1);
+            cr.arc(width / 2, height / 2, radius, top, top + 2 * Math.PI * Math.min(ring.fraction, 1));
+            cr.stroke();
+        }
+
+        cr.$dispose();
+    }
+});
+
+/** "#rrggbb" → [r, g, b] 0–1 */
+function _rgb(hex) {
+    const n = parseInt(String(hex).replace('#', ''), 16) || 0;
+    return [(n >> 16 & 0xff) / 255, (n >> 8 & 0xff) / 255, (n & 0xff) / 255];
+}
@@ -0,0 +1,301 @@
+/**
+ * Claude Token Monitor – Usage history store
+ *
+ * Appends one sample per successful poll to a JSON-lines file under the user
+ * data dir (~/.local/share/claude-tokens/history.jsonl):
+ *
+ *   {"time": 1760870400000, "org": "…",
+ *    "quotas": {"session": {"used": N, "limit": N}, "weekly": {…}, …}}
+ *
+ * Quota ids are those of parser.js. Lines written before quotas were a list
+ * (top-level "session"/"weekly") are converted when read.
+ *
+ * Samples older than `history-retention-days` are dropped, and samples older
+ * than `history-compact-after-days` are thinned to one per org and
+ * COMPACT_BUCKET_MS, keeping the file small while still covering weeks.
+ *
+ * Only uses GLib/Gio so both the indicator and the preferences window can
+ * load it.
+ */
+
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+
+// ─── Constants ───────────────────────────────────────────────────────────────
+
+const DAY_MS            = 24 * 60 * 60 * 1000;
+const COMPACT_BUCKET_MS = 15 * 60 * 1000;    // one sample per 15 min once compacted
+const COMPACT_EVERY_MS  = 6 * 60 * 60 * 1000; // rewrite the file at most every 6 h
+
+/** Default location of the history file */
+export function defaultHistoryPath() {
+    return GLib.build_filenamev([GLib.get_user_data_dir(), 'claude-tokens', 'history.jsonl']);
+}
+
+// ─── Pure helpers ────────────────────────────────────────────────────────────
+
+/**
+ * Parses the JSON-lines file content, skipping lines that are not valid
+ * samples (e.g. a line cut short by a crash), and lifts old-format lines
+ * into `quotas`.
+ *
+ * @param {string} text
+ * @returns {object[]} samples sorted by time
+ */
+export function parseSamples(text) {
+    const samples = [];
+    for (const line of text.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            const s = JSON.parse(line);
+            if (!Number.isFinite(s?.time)) continue;
+            if (!s.quotas) {
+                const {session, weekly, ...rest} = s;
+                samples.push({...rest, quotas: {
+                    ...(session && {session}),
+                    ...(weekly && {weekly}),
+                }});
+            } else {
+                samples.push(s);
+            }
+        } catch (_) {
+            // ignore the broken line
+        }
+    }
+    return samples.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Applies retention and compaction to a time-sorted sample list.
+ * Within each (org, bucket) pair of the compacted range the latest sample is
+ * kept, since usage only grows within a window.
+ *
+ * @param {object[]} samples
+ * @param {number} now – epoch ms
+ * @param {number} retentionDays
+ * @param {number} compactAfterDays
+ * @returns {object[]}
+ */
+export function compactSamples(samples, now, retentionDays, compactAfterDays) {
+    const dropBefore    = now - retentionDays * DAY_MS;
+    const compactBefore = now - compactAfterDays * DAY_MS;
+
+    const out = [];
+    const bucketIndex = new Map(); // "org/bucket" → index in out
+    for (const s of samples) {
+        if (s.time < dropBefore) continue;
+        if (s.time >= compactBefore) {
+            out.push(s);
+            continue;
+        }
+        const key = `${s.org}/${Math.floor(s.time / COMPACT_BUCKET_MS)}`;
+        if (bucketIndex.has(key)) {
+            out[bucketIndex.get(key)] = s;
+        } else {
+            bucketIndex.set(key, out.length);
+            out.push(s);
+        }
+    }
+    return out;
+}
+
+// ─── Store ───────────────────────────────────────────────────────────────────
+
+export class UsageHistory {
+    /**
+     * @param {Gio.Settings} settings – for the retention / compaction keys
+     * @param {string} [path]
+     */
+    constructor(settings, path = defaultHistoryPath()) {
+        this._settings = settings;
+        this._file     = Gio.File.new_for_path(path);
+        this._samples  = [];
+        this._queue    = [];   // file operations run one at a time
+        this._busy     = false;
+        this._dirReady = false;
+        this._lastCompacted = 0;
+    }
+
+    /** All loaded samples, oldest first */
+    get samples() { return this._samples; }
+
+    /**
+     * Samples of one or several orgs newer than `since`.
+     *
+     * @param {string|string[]} org
+     * @param {number} since – epoch ms
+     * @returns {object[]}
+     */
+    query(org, since) {
+        const orgs = [].concat(org);
+        return this._samples.filter(s => orgs.includes(s.org) && s.time >= since);
+    }
+
+    /**
+     * Reads the history file. Read-only, so the preferences window can use it
+     * while the indicator owns the file.
+     *
+     * @param {function(object[], string|null)} callback – (samples, error)
+     */
+    load(callback) {
+        this._enqueue(done => {
+            this._file.load_contents_async(null, (file, result) => {
+                let err = null;
+                let loaded = [];
+                try {
+                    const [, contents] = file.load_contents_finish(result);
+                    loaded = parseSamples(new TextDecoder().decode(contents));
+                } catch (e) {
+                    if (!e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) {
+                        err = `History error: ${e.message}`;
+                    }
+                }
+                // Keep samples appended while the file was being read
+                this._samples = [...loaded, ...this._samples];
+                done();
+                callback?.(this._samples, err);
+            });
+        });
+    }
+
+    /**
+     * Records one sample in memory and appends it to the file. Compacts the
+     * file every COMPACT_EVERY_MS.
+     *
+     * @param {object} sample
+     */
+    append(sample) {
+        this._samples.push(sample);
+        const bytes = new TextEncoder().encode(`${JSON.stringify(sample)}\n`);
+
+        this._enqueue(done => this._ensureDir(() => {
+            this._file.append_to_async(Gio.FileCreateFlags.PRIVATE,
+                GLib.PRIORITY_DEFAULT, null, (file, result) => {
+                    let stream;
+                    try {
+                        stream = file.append_to_finish(result);
+                    } catch (e) {
+                        console.warn(`[claude-tokens] history append failed: ${e.message}`);
+                        done();
+                        return;
+                    }
+                    _writeAll(stream, new GLib.Bytes(bytes), err => {
+                        if (err) console.warn(`[claude-tokens] history append failed: ${err.message}`);
+                        stream.close_async(GLib.PRIORITY_DEFAULT, null, (s, res) => {
+                            try {
+                                s.close_finish(res);
+                            } catch (e) {
+                                console.warn(`[claude-tokens] history append failed: ${e.message}`);
+                            }
+                            done();
+                        });
+                    });
+                });
+        }));
+
+        if (sample.time - this._lastCompacted > COMPACT_EVERY_MS) {
+            this.compact();
+        }
+    }
+
+    /** Applies retention / compaction and rewrites the file. */
+    compact() {
+        this._lastCompacted = Date.now();
+        this._samples = compactSamples(this._samples, this._lastCompacted,
+            this._settings.get_int('history-retention-days'),
+            this._settings.get_int('history-compact-after-days'));
+
+        const text = this._samples.map(s => JSON.stringify(s)).join('\n');
+        const bytes = new TextEncoder().encode(text ? `${text}\n` : '');
+
+        this._enqueue(done => this._ensureDir(() => {
+            this._file.replace_contents_bytes_async(new GLib.Bytes(bytes), null,
+                false, Gio.FileCreateFlags.PRIVATE, null, (file, result) => {
+                    try {
+                        file.replace_contents_finish(result);
+                    } catch (e) {
+                        console.warn(`[claude-tokens] history compaction failed: ${e.message}`);
+                    }
+                    done();
+                });
+        }));
+    }
+
+    /** Drops queued file operations; the file is left as is. */
+    destroy() {
+        this._queue = [];
+    }
+
+    // ── Internals ────────────────────────────────────────────────────────────
+
+    /** Creates the history dir on the first write, then calls `callback` */
+    _ensureDir(callback) {
+        if (this._dirReady) {
+            callback();
+            return;
+        }
+        _makeDirs(this._file.get_parent(), err => {
+            if (err) {
+                console.warn(`[claude-tokens] cannot create history dir: ${err.message}`);
+            } else {
+                this._dirReady = true;
+            }
+            callback();
+        });
+    }
+
+    _enqueue(op) {
+        this._queue.push(op);
+        this._runQueue();
+    }
+
+    _runQueue() {
+        if (this._busy || this._queue.length === 0) return;
+        this._busy = true;
+        const op = this._queue.shift();
+        op(() => {
+            this._busy = false;
+            this._runQueue();
+        });
+    }
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+/** make_directory_with_parents(), without blocking: creates missing parents first */
+function _makeDirs(dir, callback) {
+    dir.make_directory_async(GLib.PRIORITY_DEFAULT, null, (d, result) => {
+        let error = null;
+        try {
+            d.make_directory_finish(result);
+        } catch (e) {
+            error = e;
+        }
+        if (!error || error.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.EXISTS)) {
+            callback(null);
+        } else if (error.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND) && d.get_parent()) {
+            _makeDirs(d.get_parent(), err => (err ? callback(err) : _makeDirs(d, callback)));
+        } else {
+            callback(error);
+        }
+    });
+}
+
+/** Writes all of `bytes` to `stream`, resuming after short writes */
+function _writeAll(stream, bytes, callback) {
+    stream.write_bytes_async(bytes, GLib.PRIORITY_DEFAULT, null, (s, result) => {
+        let written;
+        try {
+            written = s.write_bytes_finish(result);
+        } catch (e) {
+            callback(e);
+            return;
+        }
+        const size = bytes.get_size();
+        if (written < size) {
+            _writeAll(s, GLib.Bytes.new_from_bytes(bytes, written, size - written), callback);
+        } else {
+            callback(null);
+        }
+    });
+}
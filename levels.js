@@ -0,0 +1,166 @@
+/**
+ * Claude Token Monitor – Usage levels and colours
+ *
+ * The single rule set that decides when a quota counts as "warning" or
+ * "critical", and which colour each level gets. The panel bars, the ring
+ * gauge, the compact text and the status icon all ask it, so they always
+ * agree.
+ *
+ * Thresholds are percentages: `warning-threshold` / `critical-threshold` for
+ * every window, overridden per quota id by `level-thresholds`:
+ *
+ *   {"weekly": {"warning": 60, "critical": 100}}
+ *
+ * With `pace-coloring` the bars also compare usage with an even burn over
+ * the window (Projection.pace()): `pace-margin` percentage points ahead of
+ * pace is "warning", twice that "critical", whichever level is higher.
+ *
+ * Colours come from `color-palette` in the `panel-variant` (dark or light
+ * panel) shade, or from `custom-colors` for the "custom" palette.
+ *
+ * A LevelRules reads these settings once, so each render builds a fresh one
+ * and all of its widgets see the same rules.
+ */
+
+// ─── Constants ───────────────────────────────────────────────────────────────
+
+export const LEVELS = ['normal', 'warning', 'critical'];
+
+/**
+ * Built-in palettes, [normal, warning, critical] per panel variant. Apart
+ * from the GNOME one their levels differ in lightness as well as hue, so
+ * they stay apart with colour blindness.
+ */
+export const PALETTES = {
+    adwaita: {
+        dark:  ['#3584e4', '#e5a50a', '#e01b24'],
+        light: ['#1c71d8', '#c88800', '#c01c28'],
+    },
+    'blue-yellow': {
+        dark:  ['#56b4e9', '#f0e442', '#cc79a7'],
+        light: ['#0072b2', '#b59b00', '#a0467a'],
+    },
+    viridis: {
+        dark:  ['#21918c', '#5ec962', '#fde725'],
+        light: ['#3b528b', '#21918c', '#8a7d00'],
+    },
+    grayscale: {
+        dark:  ['#9a9996', '#deddda', '#ffffff'],
+        light: ['#77767b', '#3d3846', '#000000'],
+    },
+};
+
+export const DEFAULT_PALETTE = 'adwaita';
+
+// ─── Rules ───────────────────────────────────────────────────────────────────
+
+/**
+ * Per-id threshold overrides from the `level-thresholds` text; anything
+ * malformed is dropped rather than failing the render, and so is a warning
+ * level at or above its critical one.
+ *
+ * @param {string} text
+ * @returns {Object<string, {warning?: number, critical?: number}>}
+ */
+export function parseThresholds(text) {
+    let data;
+    try {
+        data = JSON.parse(text || '{}');
+    } catch (_) {
+        return {};
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return {};
+
+    const out = {};
+    for (const [id, t] of Object.entries(data)) {
+        const entry = {};
+        for (const level of ['warning', 'critical']) {
+            if (Number.isFinite(t?.[level]) && t[level] > 0) entry[level] = t[level];
+        }
+        if (entry.warning >= entry.critical) continue;
+        if (Object.keys(entry).length > 0) out[id] = entry;
+    }
+    return out;
+}
+
+/**
+ * The more severe of two levels; null (no limit) counts as less than
+ * 'normal'.
+ *
+ * @param {string|null} a
+ * @param {string|null} b
+ * @returns {string|null}
+ */
+export function higher(a, b) {
+    return LEVELS.indexOf(b) > LEVELS.indexOf(a) ? b : a;
+}
+
+export class LevelRules {
+    /**
+     * @param {Gio.Settings} settings
+     */
+    constructor(settings) {
+        this._warning   = settings.get_int('warning-threshold');
+        this._critical  = settings.get_int('critical-threshold');
+        this._overrides = parseThresholds(settings.get_string('level-thresholds'));
+        this._paceMargin = settings.get_int('pace-margin');
+
+        const variant = settings.get_string('panel-variant') === 'light' ? 'light' : 'dark';
+        const name    = settings.get_string('color-palette');
+        const custom  = settings.get_strv('custom-colors');
+        this._colors = name === 'custom' && custom.length === LEVELS.length
+            ? custom
+            : (PALETTES[name] ?? PALETTES[DEFAULT_PALETTE])[variant];
+    }
+
+    /**
+     * @param {string} id – quota id
+     * @returns {{warning: number, critical: number}} percentages
+     */
+    thresholds(id) {
+        return {
+            warning: this._overrides[id]?.warning ?? this._warning,
+            critical: this._overrides[id]?.critical ?? this._critical,
+        };
+    }
+
+    /**
+     * @param {{id: string, used: number, limit: number}} q
+     * @returns {string|null} one of LEVELS, null for a quota without a limit
+     */
+    level(q) {
+        if (!(q.limit > 0)) return null;
+        const pct = q.used / q.limit * 100;
+        const {warning, critical} = this.thresholds(q.id);
+        if (pct >= critical) return 'critical';
+        if (pct >= warning) return 'warning';
+        return 'normal';
+    }
+
+    /**
+     * @param {{delta: number}|null} pace – from Projection.pace()
+     * @returns {string} one of LEVELS, 'normal' without a pace
+     */
+    paceLevel(pace) {
+        if (!pace) return 'normal';
+        const ahead = pace.delta * 100;
+        if (ahead >= 2 * this._paceMargin) return 'critical';
+        if (ahead >= this._paceMargin) return 'warning';
+        return 'normal';
+    }
+
+    /**
+     * The most severe level of several quotas.
+     *
+     * @param {object[]} quotas
+     * @returns {string}
+     */
+    worst(quotas) {
+        return quotas.reduce((worst, q) => higher(worst, this.level(q)), 'normal');
+    }
+
+    /** @param {string} level – one of LEVELS */
+    color(level) {
+        return this._colors[LEVELS.indexOf(level)] ?? this._colors[0];
+    }
+}
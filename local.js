@@ -0,0 +1,426 @@
+/**
+ * Claude Token Monitor – local Claude Code log provider
+ *
+ * Claude Code appends one JSON line per message to
+ * ~/.claude/projects/<project>/<session>.jsonl; assistant messages carry the
+ * model and the input / output / cache token counts. This provider tails
+ * those files with Gio.FileMonitor and adds the tokens up into a 5-hour
+ * window and a rolling 7-day window, so usage can be shown without a
+ * claude.ai cookie.
+ *
+ * Like Claude Code's own session blocks, a 5-hour window starts at the full
+ * hour of the first message after the previous window ended. Log files carry
+ * no limits: they come from `local-session-limit` / `local-weekly-limit`, or
+ * from the matching claude.ai quota when both sources are shown.
+ *
+ * Unlike the network providers it also pushes: `onChanged` fires when new
+ * lines were read, and poll() only adds up what is already in memory.
+ * parseLogLine(), windowEntries() and breakdown() never touch the disk.
+ */
+
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+
+// ─── Constants ───────────────────────────────────────────────────────────────
+
+export const LOCAL_ORG_ID = 'local';
+
+const HOUR_MS    = 60 * 60 * 1000;
+const SESSION_MS = 5 * HOUR_MS;
+const WEEK_MS    = 7 * 24 * HOUR_MS;
+const KEEP_MS    = WEEK_MS + SESSION_MS;   // entries older than this are dropped
+
+const CHUNK_SIZE  = 64 * 1024;
+const SETTLE_MS   = 1000;                  // coalesce bursts of file changes
+const FILE_ATTRS  = 'standard::name,standard::type,time::modified';
+
+/** Default log roots, the first existing one is used */
+export function defaultLogDirs() {
+    const dirs = [];
+    const configDir = GLib.getenv('CLAUDE_CONFIG_DIR');
+    if (configDir) dirs.push(GLib.build_filenamev([configDir, 'projects']));
+    dirs.push(GLib.build_filenamev([GLib.get_user_config_dir(), 'claude', 'projects']));
+    dirs.push(GLib.build_filenamev([GLib.get_home_dir(), '.claude', 'projects']));
+    return dirs;
+}
+
+// ─── Pure helpers ────────────────────────────────────────────────────────────
+
+/**
+ * Reads one log line into a usage entry.
+ *
+ * @param {string} line
+ * @param {string} project – fallback project name (the log directory)
+ * @returns {object|null} {key, time, model, project, input, output,
+ *   cacheRead, cacheWrite}, null for lines without token usage
+ */
+export function parseLogLine(line, project) {
+    let rec;
+    try {
+        rec = JSON.parse(line);
+    } catch (_e) {
+        return null;
+    }
+    const usage = rec?.message?.usage;
+    const time  = Date.parse(rec?.timestamp ?? '');
+    if (!usage || !Number.isFinite(time)) return null;
+
+    const n = v => (Number.isFinite(v) ? v : 0);
+    return {
+        // Streaming writes the same message several times
+        key: `${rec.message.id ?? rec.uuid ?? time}:${rec.requestId ?? ''}`,
+        time,
+        model: rec.message.model ?? 'unknown',
+        project: rec.cwd ? GLib.path_get_basename(rec.cwd) : project,
+        input: n(usage.input_tokens),
+        output: n(usage.output_tokens),
+        cacheRead: n(usage.cache_read_input_tokens),
+        cacheWrite: n(usage.cache_creation_input_tokens),
+    };
+}
+
+/** All tokens of an entry */
+export function entryTokens(e) {
+    return e.input + e.output + e.cacheRead + e.cacheWrite;
+}
+
+/**
+ * Token splits per model and per project, for the menu breakdown.
+ *
+ * @param {object[]} entries
+ * @returns {{models: object[], projects: object[]}} rows of
+ *   {name, input, output, cacheRead, cacheWrite}
+ */
+export function breakdown(entries) {
+    const group = key => {
+        const rows = new Map();
+        for (const e of entries) {
+            const row = rows.get(e[key]) ??
+                {name: e[key], input: 0, output: 0, cacheRead: 0, cacheWrite: 0};
+            row.input      += e.input;
+            row.output     += e.output;
+            row.cacheRead  += e.cacheRead;
+            row.cacheWrite += e.cacheWrite;
+            rows.set(e[key], row);
+        }
+        return [...rows.values()];
+    };
+    return {models: group('model'), projects: group('project')};
+}
+
+/**
+ * The 5-hour window that contains `now`, if any.
+ *
+ * @param {object[]} entries – sorted by time
+ * @param {number} now – epoch ms
+ * @returns {{start: number, end: number}|null}
+ */
+export function currentBlock(entries, now) {
+    let block = null;
+    for (const e of entries) {
+        if (e.time > now) break;
+        if (!block || e.time >= block.end) {
+            const start = Math.floor(e.time / HOUR_MS) * HOUR_MS;
+            block = {start, end: start + SESSION_MS};
+        }
+    }
+    return block && now < block.end ? block : null;
+}
+
+/**
+ * Entries of the current 5-hour window and of the last 7 days.
+ *
+ * @param {object[]} entries – sorted by time
+ * @param {number} now – epoch ms
+ * @returns {{session: object[], sessionReset: number|null, weekly: object[]}}
+ */
+export function windowEntries(entries, now) {
+    const block = currentBlock(entries, now);
+    return {
+        session: block ? entries.filter(e => e.time >= block.start && e.time <= now) : [],
+        sessionReset: block?.end ?? null,
+        weekly: entries.filter(e => e.time > now - WEEK_MS && e.time <= now),
+    };
+}
+
+// ─── Provider ────────────────────────────────────────────────────────────────
+
+export class LocalProvider {
+    /**
+     * @param {Gio.Settings} settings
+     * @param {function()} onChanged – new log lines were read
+     */
+    constructor(settings, onChanged) {
+        this._settings  = settings;
+        this._onChanged = onChanged;
+        this._entries   = [];          // sorted by time
+        this._seen      = new Set();   // entry keys, see parseLogLine()
+        this._offsets   = new Map();   // path → {id, offset}: file identity and bytes already read
+        this._reading   = new Map();   // path → true, or 'again' if it changed meanwhile
+        this._monitors  = new Map();   // dir path → Gio.FileMonitor
+        this._settleId  = 0;
+        this._cancellable = new Gio.Cancellable();
+
+        const dirs = defaultLogDirs();
+        this._root = Gio.File.new_for_path(
+            dirs.find(d => GLib.file_test(d, GLib.FileTest.IS_DIR)) ?? dirs[dirs.length - 1]);
+        this._watchDir(this._root, true);
+    }
+
+    /** The log root in use, for the menu and prefs */
+    get path() {
+        return this._root.get_path();
+    }
+
+    /** Logged usage entries of the last 7 days, oldest first */
+    get entries() {
+        return this._entries;
+    }
+
+    poll(callback) {
+        const now = Date.now();
+        this._prune(now);
+        const win = windowEntries(this._entries, now);
+        const sum = list => list.reduce((t, e) => t + entryTokens(e), 0);
+
+        const org = {uuid: LOCAL_ORG_ID, name: 'Claude Code logs'};
+        const quotas = [
+            {id: 'session_local', kind: 'session', scope: 'local',
+                used: sum(win.session), limit: this._settings.get_int64('local-session-limit'),
+                reset: win.sessionReset ? new Date(win.sessionReset).toISOString() : null},
+            {id: 'weekly_local', kind: 'weekly', scope: 'local',
+                used: sum(win.weekly), limit: this._settings.get_int64('local-weekly-limit'),
+                reset: null},
+        ];
+        callback([{
+            org,
+            usage: {
+                org: LOCAL_ORG_ID,
+                adapter: 'local-logs',
+                quotas,
+                breakdowns: {session_local: breakdown(win.session), weekly_local: breakdown(win.weekly)},
+                updated: new Date(now).toISOString(),
+            },
+        }], null);
+    }
+
+    // ── Watching ─────────────────────────────────────────────────────────────
+
+    /**
+     * Monitors a directory and reads what is already in it: project
+     * directories under the root, log files inside a project.
+     */
+    _watchDir(dir, isRoot) {
+        const path = dir.get_path();
+        if (this._monitors.has(path)) return;
+
+        try {
+            const monitor = dir.monitor_directory(Gio.FileMonitorFlags.WATCH_MOVES, this._cancellable);
+            monitor.connect('changed', (_m, file, other, event) => {
+                if (event === Gio.FileMonitorEvent.RENAMED) file = other;
+                if (event === Gio.FileMonitorEvent.DELETED ||
+                    event === Gio.FileMonitorEvent.MOVED_OUT) {
+                    return;
+                }
+                if (isRoot) {
+                    this._watchIfDir(file);
+                } else if (file.get_basename().endsWith('.jsonl')) {
+                    this._tail(file, dir.get_basename());
+                }
+            });
+            this._monitors.set(path, monitor);
+        } catch (e) {
+            console.warn(`[claude-tokens] cannot watch ${path}: ${e.message}`);
+            return;
+        }
+
+        dir.enumerate_children_async(FILE_ATTRS, Gio.FileQueryInfoFlags.NONE,
+            GLib.PRIORITY_LOW, this._cancellable, (_d, res) => {
+                let children;
+                try {
+                    children = dir.enumerate_children_finish(res);
+                } catch (e) {
+                    if (!e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED) &&
+                        !e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) {
+                        console.warn(`[claude-tokens] cannot list ${path}: ${e.message}`);
+                    }
+                    return;
+                }
+                this._nextFiles(children, dir, isRoot);
+            });
+    }
+
+    /** Watches a new entry of the root once it turns out to be a project directory. */
+    _watchIfDir(file) {
+        file.query_info_async('standard::type', Gio.FileQueryInfoFlags.NONE,
+            GLib.PRIORITY_LOW, this._cancellable, (_f, res) => {
+                let info;
+                try {
+                    info = file.query_info_finish(res);
+                } catch (_e) {
+                    return;   // gone again, or cancelled
+                }
+                if (info.get_file_type() === Gio.FileType.DIRECTORY) this._watchDir(file, false);
+            });
+    }
+
+    _nextFiles(children, dir, isRoot) {
+        children.next_files_async(64, GLib.PRIORITY_LOW, this._cancellable, (_c, res) => {
+            let infos;
+            try {
+                infos = children.next_files_finish(res);
+            } catch (_e) {
+                return;
+            }
+            if (infos.length === 0) {
+                children.close_async(GLib.PRIORITY_LOW, null, null);
+                return;
+            }
+
+            const cutoff = Date.now() - KEEP_MS;
+            for (const info of infos) {
+                const child = dir.get_child(info.get_name());
+                if (isRoot) {
+                    if (info.get_file_type() === Gio.FileType.DIRECTORY) this._watchDir(child, false);
+                } else if (info.get_name().endsWith('.jsonl') &&
+                           info.get_modification_date_time().to_unix() * 1000 >= cutoff) {
+                    this._tail(child, dir.get_basename());
+                }
+            }
+            this._nextFiles(children, dir, isRoot);
+        });
+    }
+
+    // ── Reading ──────────────────────────────────────────────────────────────
+
+    /**
+     * Reads the complete lines appended to a log file since the last call.
+     * A file that shrank or was replaced is read from the start again; lines
+     * already counted are skipped by their keys.
+     */
+    _tail(file, project) {
+        const path = file.get_path();
+        if (this._reading.has(path)) {
+            this._reading.set(path, 'again');
+            return;
+        }
+        this._reading.set(path, true);
+
+        const finish = () => {
+            const again = this._reading.get(path) === 'again';
+            this._reading.delete(path);
+            if (again) this._tail(file, project);
+        };
+
+        file.read_async(GLib.PRIORITY_LOW, this._cancellable, (_f, res) => {
+            let stream;
+            try {
+                stream = file.read_finish(res);
+            } catch (_e) {
+                finish();
+                return;
+            }
+            stream.query_info_async('standard::size,id::file', GLib.PRIORITY_LOW, this._cancellable, (_s, infoRes) => {
+                let start;
+                try {
+                    const info = stream.query_info_finish(infoRes);
+                    const id   = info.get_attribute_string('id::file');
+                    const last = this._offsets.get(path);
+                    start = last && last.id === id && last.offset <= info.get_size() ? last.offset : 0;
+                    this._offsets.set(path, {id, offset: start});
+                    stream.seek(start, GLib.SeekType.SET, null);
+                } catch (_e) {
+                    stream.close_async(GLib.PRIORITY_LOW, null, null);
+                    finish();
+                    return;
+                }
+                this._readChunks(stream, path, project, finish);
+            });
+        });
+    }
+
+    /** Reads a stream to its end and parses what came in. */
+    _readChunks(stream, path, project, finish) {
+        const chunks = [];
+        const readMore = () => {
+            stream.read_bytes_async(CHUNK_SIZE, GLib.PRIORITY_LOW, this._cancellable, (_s, r) => {
+                let bytes;
+                try {
+                    bytes = stream.read_bytes_finish(r);
+                } catch (_e) {
+                    stream.close_async(GLib.PRIORITY_LOW, null, null);
+                    finish();
+                    return;
+                }
+                if (bytes.get_size() > 0) {
+                    chunks.push(bytes.get_data());
+                    readMore();
+                    return;
+                }
+                stream.close_async(GLib.PRIORITY_LOW, null, null);
+                this._consume(path, project, chunks);
+                finish();
+            });
+        };
+        readMore();
+    }
+
+    /** Parses the complete lines of freshly read data. */
+    _consume(path, project, chunks) {
+        const total = chunks.reduce((n, c) => n + c.length, 0);
+        const data  = new Uint8Array(total);
+        let pos = 0;
+        for (const c of chunks) {
+            data.set(c, pos);
+            pos += c.length;
+        }
+
+        // A line still being written is read again next time
+        const end = data.lastIndexOf(0x0a) + 1;
+        if (end === 0) return;
+        this._offsets.get(path).offset += end;
+
+        const cutoff = Date.now() - KEEP_MS;
+        let added = 0;
+        for (const line of new TextDecoder().decode(data.subarray(0, end)).split('\n')) {
+            if (!line.includes('"usage"')) continue;
+            const entry = parseLogLine(line, project);
+            if (!entry || entry.time < cutoff || this._seen.has(entry.key)) continue;
+            this._seen.add(entry.key);
+            this._entries.push(entry);
+            added++;
+        }
+        if (added === 0) return;
+
+        this._entries.sort((a, b) => a.time - b.time);
+        this._changed();
+    }
+
+    _changed() {
+        if (this._settleId) return;
+        this._settleId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, SETTLE_MS, () => {
+            this._settleId = 0;
+            this._onChanged();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    _prune(now) {
+        const cutoff = now - KEEP_MS;
+        const first  = this._entries.findIndex(e => e.time >= cutoff);
+        const gone   = first === -1 ? this._entries : this._entries.slice(0, first);
+        if (gone.length === 0) return;
+        for (const e of gone) this._seen.delete(e.key);
+        this._entries = first === -1 ? [] : this._entries.slice(first);
+    }
+
+    destroy() {
+        this._cancellable.cancel();
+        if (this._settleId) {
+            GLib.source_remove(this._settleId);
+            this._settleId = 0;
+        }
+        for (const monitor of this._monitors.values()) monitor.cancel();
+        this._monitors.clear();
+    }
+}
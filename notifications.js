@@ -0,0 +1,78 @@
+/**
+ * Claude Token Monitor – Threshold notifications
+ *
+ * Sends a GNOME notification when a quota crosses one of the user-defined
+ * thresholds (`notify-thresholds`), and when a depleted quota resets. Each
+ * threshold fires at most once per quota period (see alerts.js for how
+ * periods are told apart). The per-quota state is persisted in
+ * `notify-state` so a shell restart does not repeat alerts.
+ *
+ * 5-hour windows follow `notify-session`; weekly and any other quotas follow
+ * `notify-weekly`. Threshold alerts are held back while snoozed from the
+ * menu (`snoozed-until`); thresholds crossed meanwhile count as notified.
+ */
+
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import {gettext as _} from 'resource:///org/gnome/shell/extensions/extension.js';
+
+import {advance} from './alerts.js';
+import * as Parser from './parser.js';
+
+// ─── Notifier ────────────────────────────────────────────────────────────────
+
+export class UsageNotifier {
+    /**
+     * @param {Gio.Settings} settings
+     */
+    constructor(settings) {
+        this._settings = settings;
+        try {
+            this._state = JSON.parse(settings.get_string('notify-state')) ?? {};
+        } catch (_e) {
+            this._state = {};
+        }
+    }
+
+    /**
+     * Compares one org's fresh usage with what was last seen and notifies
+     * about crossed thresholds and resets.
+     *
+     * @param {{uuid: string, name: string}} org
+     * @param {object} usage – as stored by _applyResult()
+     * @param {boolean} withOrgName – prefix titles with the org name
+     */
+    check(org, usage, withOrgName) {
+        const thresholds = [...this._settings.get_value('notify-thresholds').deepUnpack()]
+            .sort((a, b) => a - b);
+        const orgState = this._state[org.uuid] ?? {};
+        const snoozed  = Date.now() < this._settings.get_int64('snoozed-until');
+
+        for (const q of usage.quotas) {
+            if (!(q.limit > 0)) continue;   // plain totals, e.g. local logs or API tokens
+
+            const label   = Parser.quotaLabel(q);
+            const title   = withOrgName ? `${org.name}: ${label}` : label;
+            const setting = q.kind === 'session' ? 'notify-session' : 'notify-weekly';
+            const {state, threshold, reset} = advance(orgState[q.id], q, thresholds);
+
+            if (reset && this._settings.get_boolean('notify-reset')) {
+                Main.notify(_('%s reset').format(title),
+                    _('Capacity is back – you can continue using Claude.'));
+            }
+            if (threshold !== null && this._settings.get_boolean(setting) && !snoozed) {
+                Main.notify(_('%s at %d%%').format(title, Math.round(q.used / q.limit * 100)),
+                    threshold >= 100
+                        ? _('The limit has been reached.')
+                        : _('Crossed the %d%% threshold.').format(threshold));
+            }
+            orgState[q.id] = state;
+        }
+
+        this._state[org.uuid] = orgState;
+        // Polls every few seconds mostly change nothing; spare dconf the write
+        const state = JSON.stringify(this._state);
+        if (state !== this._settings.get_string('notify-state')) {
+            this._settings.set_string('notify-state', state);
+        }
+    }
+}
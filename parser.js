@@ -0,0 +1,430 @@
+/**
+ * Claude Token Monitor – Usage payload parser
+ *
+ * Turns a `rate_limit_status` response into a list of quotas: the 5-hour
+ * session window, the weekly quota and any further limits the payload
+ * reports (e.g. separate weekly caps per model). Every response shape
+ * claude.ai is known to have used is handled by a named adapter; a
+ * user-supplied JSON-path mapping (the `custom-quota-mapping` setting) takes
+ * precedence when it matches.
+ *
+ * parseAccount() reads the organizations out of `auth/current_account`.
+ *
+ * Nothing is guessed silently: a payload no adapter understands, or one that
+ * two adapters read differently, raises a ParseError instead of showing empty
+ * bars.
+ *
+ * The quota ids assigned here (`session`, `weekly`, `weekly_opus`, …) are the
+ * keys that `panel-quotas`, `level-thresholds` and the history samples use.
+ */
+
+// ─── Errors ──────────────────────────────────────────────────────────────────
+
+export class ParseError extends Error {
+    /**
+     * @param {string} message
+     * @param {string} kind – 'unknown' | 'ambiguous' | 'mapping'
+     */
+    constructor(message, kind) {
+        super(message);
+        this.name = 'ParseError';
+        this.kind = kind;
+    }
+}
+
+// ─── Quota classification ────────────────────────────────────────────────────
+
+/**
+ * Model / product scopes of extra limits, e.g. a separate weekly cap for
+ * Opus or for Claude Code usage, plus the windows counted from local Claude
+ * Code logs (local.js) and the Admin API totals (api.js):
+ * [pattern, id part, display name, short name]
+ */
+const SCOPES = [
+    [/opus/i,   'opus',        'Opus',        'Opus'],
+    [/sonnet/i, 'sonnet',      'Sonnet',      'Sonnet'],
+    [/haiku/i,  'haiku',       'Haiku',       'Haiku'],
+    [/local/i,  'local',       'local logs',  'Local'],
+    [/(^|_)api(_|$)/i, 'api',  'API',         'API'],
+    [/code/i,   'claude_code', 'Claude Code', 'Code'],
+];
+
+function _classify(name) {
+    if (/5.?hour/i.test(name)) return 'session';
+    if (/week|7.?day/i.test(name)) return 'weekly';
+    if (/spend|cost/i.test(name)) return 'spend';
+    if (/month/i.test(name)) return 'monthly';
+    if (/daily|today/i.test(name)) return 'daily';
+    if (/window|session/i.test(name)) return 'session';
+    return 'other';
+}
+
+function _slug(name) {
+    return String(name)
+        .replace(/([a-z])([A-Z])/g, '$1_$2')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '') || 'quota';
+}
+
+/**
+ * Stable id, kind and scope for a quota entry. The plain 5-hour and weekly
+ * windows get the ids "session" and "weekly"; scoped ones "weekly_opus" etc.
+ * Since ids are built from the same words, describeQuota(id) gives back the
+ * kind and scope of an id.
+ *
+ * @param {string} name – the entry's type / window / key, or a quota id
+ * @returns {{id: string, kind: string, scope: string|null}}
+ */
+export function describeQuota(name) {
+    const kind  = _classify(name);
+    const scope = SCOPES.find(([re]) => re.test(name))?.[1] ?? null;
+    if (kind === 'other') return {id: _slug(name), kind, scope};
+    return {id: scope ? `${kind}_${scope}` : kind, kind, scope};
+}
+
+function _safeInt(v) {
+    const n = parseInt(v, 10);
+    return isFinite(n) ? n : 0;
+}
+
+/** A quota counts only with a positive limit */
+function _quota(desc, used, limit, reset) {
+    return limit > 0 ? {...desc, used, limit, reset: reset ?? null} : null;
+}
+
+/** Adds a quota to `out`; a second, different value for its id is ambiguous */
+function _put(out, adapter, quota) {
+    if (!quota) return;
+    const prev = out.get(quota.id);
+    if (prev && !_sameQuota(prev, quota)) {
+        throw new ParseError(`${adapter}: several entries for the ${quota.id} quota`, 'ambiguous');
+    }
+    out.set(quota.id, quota);
+}
+
+function _sameQuota(a, b) {
+    return a.used === b.used && a.limit === b.limit;
+}
+
+// ─── Labels ──────────────────────────────────────────────────────────────────
+
+function _scopeName(scope) {
+    return SCOPES.find(([, id]) => id === scope)?.[2] ?? scope;
+}
+
+function _titleCase(id) {
+    return id.split('_').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
+}
+
+const LABELS = {
+    session: '5-hour window',
+    weekly: 'Weekly quota',
+    daily: 'Tokens today',
+    monthly: 'Tokens this month',
+    spend: 'Spend this month',
+};
+
+const SHORT_LABELS = {session: '5h', weekly: '7d', daily: '1d', monthly: 'Mo', spend: '$'};
+
+/**
+ * Menu label, e.g. "5-hour window", "Weekly quota (Opus)".
+ *
+ * @param {{kind: string, scope: string|null, id: string}} q
+ */
+export function quotaLabel(q) {
+    const base = LABELS[q.kind];
+    if (!base) return _titleCase(q.id);
+    return q.scope ? `${base} (${_scopeName(q.scope)})` : base;
+}
+
+/**
+ * Short panel label, e.g. "5h", "7d", "7d Opus".
+ *
+ * @param {{kind: string, scope: string|null, id: string}} q
+ */
+export function quotaShortLabel(q) {
+    const base = SHORT_LABELS[q.kind];
+    if (!base) return _titleCase(q.id).slice(0, 8);
+    if (!q.scope) return base;
+    return `${base} ${SCOPES.find(([, id]) => id === q.scope)?.[3] ?? q.scope}`;
+}
+
+/**
+ * @param {object[]} quotas
+ * @param {string} id
+ * @returns {object|null}
+ */
+export function findQuota(quotas, id) {
+    return quotas.find(q => q.id === id) ?? null;
+}
+
+// ─── Built-in adapters ───────────────────────────────────────────────────────
+
+/**
+ * Each adapter returns a Map of quota id → quota, or null when the payload
+ * does not have its shape at all. Every entry with a positive limit becomes a
+ * quota, including ones this extension has no special handling for.
+ */
+export const ADAPTERS = [
+    {
+        // { rate_limit_status: { message_limit: { type, remaining, total, resetsAt } } }
+        name: 'rate-limit-status',
+        parse(data) {
+            const rl = data?.rate_limit_status;
+            if (!rl || typeof rl !== 'object') return null;
+
+            const out = new Map();
+            const entries = Array.isArray(rl) ? rl.map((e, i) => [String(i), e]) : Object.entries(rl);
+            for (const [key, entry] of entries) {
+                if (!entry || typeof entry !== 'object') continue;
+                const rem = _safeInt(entry.remaining ?? entry.tokens_remaining);
+                const tot = _safeInt(entry.total ?? entry.tokens_total ?? entry.limit);
+                const reset = entry.resetsAt ?? entry.reset_at ?? entry.resets_at;
+                _put(out, this.name,
+                    _quota(describeQuota(entry.type ?? key), tot - rem, tot, reset));
+            }
+            return out;
+        },
+    },
+    {
+        // { quotas | limits | usage_limits: [ { window, model?, used, limit, reset_at } ] }
+        name: 'quota-list',
+        parse(data) {
+            const quotas = data?.quotas ?? data?.limits ?? data?.usage_limits;
+            if (!Array.isArray(quotas)) return null;
+
+            const out = new Map();
+            for (const q of quotas) {
+                const type = q?.window ?? q?.type ?? q?.period;
+                if (!type) continue;
+                const scope = q?.model ?? q?.scope ?? q?.product;
+                const used  = _safeInt(q?.used ?? q?.tokens_used);
+                const limit = _safeInt(q?.limit ?? q?.tokens_limit ?? q?.total);
+                _put(out, this.name, _quota(describeQuota(scope ? `${type} ${scope}` : type),
+                    used, limit, q?.reset_at ?? q?.resetsAt));
+            }
+            return out;
+        },
+    },
+    {
+        // { token_5hour_used, token_5hour_limit, token_weekly_opus_used, … }
+        name: 'flat-keys',
+        parse(data) {
+            if (!data || typeof data !== 'object' || Array.isArray(data)) return null;
+
+            const groups = new Map(); // key without the used/limit suffix
+            for (const [k, v] of Object.entries(data)) {
+                const m = /^(.*?)_?(used|limit|total)$/i.exec(k);
+                if (!m || _classify(m[1]) === 'other') continue;
+                const g = groups.get(m[1]) ?? {};
+                if (/used/i.test(m[2])) g.used = _safeInt(v);
+                else g.limit = _safeInt(v);
+                groups.set(m[1], g);
+            }
+
+            const out = new Map();
+            for (const [name, {used, limit}] of groups) {
+                if (used !== undefined) _put(out, this.name, _quota(describeQuota(name), used, limit, null));
+            }
+            return out.size ? out : null;
+        },
+    },
+];
+
+// ─── Custom JSON-path mapping ────────────────────────────────────────────────
+
+const PATH_TOKEN = /\.([A-Za-z_$][\w$-]*)|\[(\d+)\]|\[(["'])(.*?)\3\]/y;
+
+/**
+ * Resolves a small JSON-path subset: `$`, `.name`, `[0]`, `["name"]`.
+ *
+ * @param {*} data
+ * @param {string} path – e.g. "$.five_hour.limits[0]['used']"
+ * @returns {*} the value, or undefined if the path does not resolve
+ */
+export function evaluatePath(data, path) {
+    if (typeof path !== 'string' || !path.startsWith('$')) {
+        throw new ParseError(`invalid path "${path}"`, 'mapping');
+    }
+
+    let value = data;
+    PATH_TOKEN.lastIndex = 1;
+    while (PATH_TOKEN.lastIndex < path.length) {
+        const start = PATH_TOKEN.lastIndex;
+        const m = PATH_TOKEN.exec(path);
+        if (!m) throw new ParseError(`invalid path "${path}" at ${start}`, 'mapping');
+        const key = m[1] ?? m[4] ?? Number(m[2]);
+        value = value?.[key];
+    }
+    return value;
+}
+
+/**
+ * Checks a mapping object for structural errors.
+ *
+ * Shape: { <quota id>: QuotaMapping, … }, where ids are e.g. "session",
+ * "weekly" or "weekly_opus", and a QuotaMapping has an optional `reset` path
+ * plus either `used` + `limit`, `remaining` + `limit`, or `percent` (0–100).
+ *
+ * @param {object} mapping
+ * @returns {string|null} an error message, or null if valid
+ */
+export function validateMapping(mapping) {
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        return 'mapping must be a JSON object';
+    }
+    const keys = Object.keys(mapping);
+    if (keys.length === 0) return 'mapping has no quotas';
+
+    for (const key of keys) {
+        if (!/^[a-z][a-z0-9_]*$/.test(key)) return `invalid quota id "${key}"`;
+        const m = mapping[key];
+        if (!m || typeof m !== 'object') return `${key}: expected an object of paths`;
+        const hasUsed = 'used' in m || 'remaining' in m;
+        if (!('percent' in m) && !(hasUsed && 'limit' in m)) {
+            return `${key}: needs "percent", or "limit" with "used" or "remaining"`;
+        }
+        for (const [field, path] of Object.entries(m)) {
+            if (!['used', 'remaining', 'limit', 'percent', 'reset'].includes(field)) {
+                return `${key}: unknown field "${field}"`;
+            }
+            try {
+                evaluatePath({}, path);
+            } catch (e) {
+                return `${key}.${field}: ${e.message}`;
+            }
+        }
+    }
+    return null;
+}
+
+function _applyMapping(data, mapping) {
+    const out = new Map();
+    for (const [id, m] of Object.entries(mapping)) {
+        const get  = field => (field in m ? evaluatePath(data, m[field]) : undefined);
+        const desc = {...describeQuota(id), id};
+        const reset = get('reset');
+
+        let quota;
+        if ('percent' in m) {
+            const pct = Number(get('percent'));
+            quota = Number.isFinite(pct) ? _quota(desc, Math.round(pct), 100, reset) : null;
+        } else {
+            const limit = _safeInt(get('limit'));
+            const used  = 'used' in m ? _safeInt(get('used')) : limit - _safeInt(get('remaining'));
+            quota = _quota(desc, used, limit, reset);
+        }
+        if (quota) out.set(id, quota);
+    }
+    return out;
+}
+
+// ─── Entry point ─────────────────────────────────────────────────────────────
+
+const KIND_ORDER = {session: 0, weekly: 1, other: 2};
+
+function _sorted(quotas) {
+    return [...quotas.values()].sort((a, b) =>
+        KIND_ORDER[a.kind] - KIND_ORDER[b.kind] ||
+        (a.scope ? 1 : 0) - (b.scope ? 1 : 0) ||
+        a.id.localeCompare(b.id));
+}
+
+/**
+ * @param {object} data – decoded `rate_limit_status` response
+ * @param {object|null} [mapping] – custom JSON-path mapping, tried first
+ * @returns {{adapter: string, quotas: object[]}} quotas are
+ *   {id, kind, scope, used, limit, reset}: the 5-hour window first, then the
+ *   weekly quota, then any further limits the payload reports
+ * @throws {ParseError} when the payload is not understood or ambiguous
+ */
+export function parseUsage(data, mapping = null) {
+    if (mapping) {
+        const out = _applyMapping(data, mapping);
+        if (out.size) return {adapter: 'custom', quotas: _sorted(out)};
+    }
+
+    const matches = [];
+    for (const adapter of ADAPTERS) {
+        const out = adapter.parse(data);
+        if (out?.size) matches.push({name: adapter.name, out});
+    }
+
+    if (matches.length === 0) {
+        const keys = data && typeof data === 'object' ? Object.keys(data).join(', ') : typeof data;
+        throw new ParseError(
+            `unknown response shape (${mapping ? 'custom mapping matched nothing; ' : ''}keys: ${keys || 'none'})`,
+            'unknown');
+    }
+
+    // Several shapes may match (e.g. flat keys next to a quota list); that is
+    // fine as long as they agree on every quota both report.
+    const merged = new Map();
+    for (const {out} of matches) {
+        for (const [id, quota] of out) {
+            const prev = merged.get(id);
+            if (prev && !_sameQuota(prev, quota)) {
+                throw new ParseError(
+                    `ambiguous response: ${matches.map(m => m.name).join(' and ')} disagree on the ${id} quota`,
+                    'ambiguous');
+            }
+            if (!prev) merged.set(id, quota);
+        }
+    }
+
+    return {adapter: matches.map(m => m.name).join('+'), quotas: _sorted(merged)};
+}
+
+// ─── Account ─────────────────────────────────────────────────────────────────
+
+/** Plan names by the hints claude.ai puts on an org, most specific first */
+const PLANS = [
+    [/max_20x/, 'Max 20x'],
+    [/max_5x/, 'Max 5x'],
+    [/max/, 'Max'],
+    [/pro/, 'Pro'],
+    [/enterprise/, 'Enterprise'],
+    [/team|raven/, 'Team'],
+];
+
+/**
+ * Lists the organizations of a `current_account` response.
+ *
+ * The shape has varied: memberships at the top level or under `account`,
+ * each holding an `organization` (or `workspace`) with `uuid` (or `id`).
+ * Without memberships, a single org id at one of the fallback locations is
+ * used. The plan is only set when the org's `rate_limit_tier`,
+ * `capabilities` or `raven_type` name one.
+ *
+ * @param {object} data
+ * @returns {Array<{uuid: string, name: string, plan?: string}>} empty if none was found
+ */
+export function parseAccount(data) {
+    const memberships = data?.memberships ?? data?.account?.memberships ?? [];
+    const orgs = [];
+    for (const m of Array.isArray(memberships) ? memberships : []) {
+        const org  = m?.organization ?? m?.workspace;
+        const uuid = org?.uuid ?? org?.id;
+        if (uuid) orgs.push({uuid, name: org?.name || uuid, ..._plan(org)});
+    }
+    if (orgs.length > 0) return orgs;
+
+    const uuid =
+        data?.organization_uuid ??
+        data?.default_organization?.uuid ??
+        data?.id ??
+        null;
+    const org = data?.default_organization;
+    return uuid ? [{uuid, name: org?.name || uuid, ..._plan(org)}] : [];
+}
+
+function _plan(org) {
+    const capabilities = Array.isArray(org?.capabilities) ? org.capabilities : [];
+    const hints = [org?.rate_limit_tier, org?.raven_type, ...capabilities]
+        .filter(h => typeof h === 'string')
+        .join(' ')
+        .toLowerCase();
+    const plan = PLANS.find(([pattern]) => pattern.test(hints));
+    return plan ? {plan: plan[1]} : {};
+}
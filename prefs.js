@@ -2,18 +2,37 @@
  * Claude Token Monitor – Preferences
  *
  * Provides a clean Adw-based settings page where users can paste their
- * claude.ai session cookie and tweak polling intervals.
+ * claude.ai session cookie and tweak polling intervals. The cookie itself is
+ * stored in the GNOME keyring through credentials.js.
  */
 
 import Adw from 'gi://Adw';
 import Gtk from 'gi://Gtk';
+import Gdk from 'gi://Gdk';
 import Gio from 'gi://Gio';
 import GLib from 'gi://GLib';
-import Soup from 'gi://Soup';
 
-import {ExtensionPreferences, gettext as _}
+import {ExtensionPreferences, gettext as _, ngettext}
     from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
 
+import * as Client from './client.js';
+import * as Credentials from './credentials.js';
+import * as Browser from './browser.js';
+import * as Parser from './parser.js';
+import * as Export from './export.js';
+import * as Levels from './levels.js';
+import * as Report from './report.js';
+import {UsageHeatmap, PeriodBars, heatmapWeeks} from './charts.js';
+import {UsageHistory} from './history.js';
+import {defaultLogDirs, LOCAL_ORG_ID} from './local.js';
+import {API_ORG_ID} from './api.js';
+import {WebProvider} from './web.js';
+
+/** `usage-sources` values, in display order */
+const SOURCES = ['claude.ai', 'api', 'local'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 export default class ClaudeTokensPrefs extends ExtensionPreferences {
     fillPreferencesWindow(window) {
         const settings = this.getSettings();
@@ -27,6 +46,105 @@ export default class ClaudeTokensPrefs extends ExtensionPreferences {
             icon_name: 'utilities-system-monitor-symbolic',
         });
         window.add(page);
+        window.add(this._buildHistoryPage(settings));
+
+        // ── Source group ─────────────────────────────────────────────────────
+        const sourceGroup = new Adw.PreferencesGroup({
+            title: _('Usage sources'),
+            description: _('Enabled sources are shown side by side.'),
+        });
+        page.add(sourceGroup);
+
+        const logDir = defaultLogDirs().find(d => GLib.file_test(d, GLib.FileTest.IS_DIR));
+        for (const [source, title, subtitle] of [
+            ['claude.ai', _('claude.ai subscription'), _('Rate limits of your plan, read with the session cookie.')],
+            ['api', _('Anthropic API'), _('Tokens and spend of an API-billed organization, read with an Admin API key.')],
+            ['local', _('Claude Code logs'), logDir ?? _('No Claude Code logs found yet')],
+        ]) {
+            const row = new Adw.SwitchRow({
+                title,
+                subtitle,
+                active: settings.get_strv('usage-sources').includes(source),
+            });
+            row.connect('notify::active', () => {
+                const sources = settings.get_strv('usage-sources').filter(s => s !== source);
+                if (row.active) sources.push(source);
+                settings.set_strv('usage-sources', SOURCES.filter(s => sources.includes(s)));
+            });
+            sourceGroup.add(row);
+        }
+
+        const limitRows = [
+            ['local-session-limit', _('Local 5-hour limit (tokens)')],
+            ['local-weekly-limit', _('Local weekly limit (tokens)')],
+        ].map(([key, title]) => {
+            const row = new Adw.SpinRow({
+                title,
+                subtitle: _('0 takes the claude.ai limit when that source is enabled too.'),
+                adjustment: new Gtk.Adjustment({
+                    lower: 0, upper: 1e12, step_increment: 100000,
+                }),
+                value: settings.get_int64(key),
+            });
+            // SpinRow values are doubles, the keys int64: no settings.bind()
+            row.connect('notify::value', () => {
+                settings.set_int64(key, Math.round(row.value));
+            });
+            sourceGroup.add(row);
+            return row;
+        });
+
+        // ── Anthropic API group ──────────────────────────────────────────────
+        const apiGroup = new Adw.PreferencesGroup({
+            title: _('Anthropic API'),
+            description: _(
+                'Create an Admin API key (sk-ant-admin…) under Settings → Admin ' +
+                'keys in the Anthropic Console. It is stored in the keyring.'
+            ),
+        });
+        page.add(apiGroup);
+
+        const adminKeyRow = new Adw.PasswordEntryRow({
+            title: _('Admin API key'),
+            show_apply_button: true,
+        });
+        adminKeyRow.connect('apply', () => {
+            Credentials.storeAdminKey(adminKeyRow.text, null, (ok, err) => {
+                if (!ok) {
+                    this._setTestStatus(`✗ ${err}`, false);
+                    return;
+                }
+                Credentials.notifyChanged(settings);
+                this._setTestStatus(_('✓ Saved to keyring'), true);
+            });
+        });
+        Credentials.lookupAdminKey(null, (key, err) => {
+            if (err) {
+                this._setTestStatus(`✗ ${err}`, false);
+                return;
+            }
+            adminKeyRow.text = key ?? '';
+        });
+        apiGroup.add(adminKeyRow);
+
+        const budgetRow = new Adw.SpinRow({
+            title: _('Monthly budget (USD)'),
+            subtitle: _('Spend is shown against it. 0 shows the amount only.'),
+            digits: 2,
+            adjustment: new Gtk.Adjustment({
+                lower: 0, upper: 1e7, step_increment: 10,
+            }),
+        });
+        settings.bind('api-monthly-budget', budgetRow, 'value',
+            Gio.SettingsBindFlags.DEFAULT);
+        apiGroup.add(budgetRow);
+
+        const syncSourceRows = () => {
+            const sources = settings.get_strv('usage-sources');
+            for (const row of limitRows) row.visible = sources.includes('local');
+            apiGroup.visible = sources.includes('api');
+        };
+        syncSourceRows();
 
         // ── Authentication group ─────────────────────────────────────────────
         const authGroup = new Adw.PreferencesGroup({
@@ -36,23 +154,17 @@ export default class ClaudeTokensPrefs extends ExtensionPreferences {
                 '1. Open claude.ai in your browser and log in.\n' +
                 '2. Open DevTools (F12) → Application → Storage → Cookies → https://claude.ai\n' +
                 '3. Copy the value of the cookie named "sessionKey".\n' +
-                '4. Paste it below — it starts with sk-ant-sid01-…'
+                '4. Paste it below — it starts with sk-ant-sid01-…\n' +
+                'Or use the browser button to read it from a local Firefox or Chromium profile.\n' +
+                'Add another account for each separate claude.ai login.'
             ),
         });
         page.add(authGroup);
 
-        // Session cookie row
-        const cookieRow = new Adw.PasswordEntryRow({
-            title: _('Session cookie (sessionKey)'),
-        });
-        settings.bind('session-cookie', cookieRow, 'text',
-            Gio.SettingsBindFlags.DEFAULT);
-        authGroup.add(cookieRow);
-
         // Status / test button
         const testRow = new Adw.ActionRow({
             title: _('Test connection'),
-            subtitle: _('Verifies that the cookie is accepted by claude.ai.'),
+            subtitle: _('Fetches the usage with each cookie, as the panel does.'),
         });
         const testBtn = new Gtk.Button({
             label: _('Test'),
@@ -61,15 +173,83 @@ export default class ClaudeTokensPrefs extends ExtensionPreferences {
         });
         this._testStatusLabel = new Gtk.Label({
             label: '',
+            wrap: true,
+            justify: Gtk.Justification.RIGHT,
             valign: Gtk.Align.CENTER,
             css_classes: ['dim-label'],
         });
         testRow.add_suffix(this._testStatusLabel);
         testRow.add_suffix(testBtn);
-        authGroup.add(testRow);
 
         testBtn.connect('clicked', () => {
-            this._testConnection(settings, testBtn);
+            this._testConnection(settings,
+                this._cookieRows.map(({account, row}) => [account, row.text]),
+                testBtn);
+        });
+
+        // "Add account" row – one cookie per claude.ai login
+        const addRow = new Adw.EntryRow({
+            title: _('Add another account (name)'),
+            show_apply_button: true,
+        });
+        addRow.connect('apply', () => {
+            const name = addRow.text.trim();
+            const accounts = settings.get_strv('accounts');
+            if (!name || accounts.includes(name)) return;
+            addRow.text = '';
+            settings.set_strv('accounts', [...accounts, name]);
+        });
+
+        const autoImportRow = new Adw.SwitchRow({
+            title: _('Re-import rejected cookies'),
+            subtitle: _('When claude.ai rejects a cookie, read it from the browser again before reporting the error.'),
+        });
+        settings.bind('cookie-auto-import', autoImportRow, 'active', Gio.SettingsBindFlags.DEFAULT);
+
+        // One cookie row per account, rebuilt whenever the list changes
+        this._cookieRows = [];
+        let authRows = [];
+        const rebuildAccounts = () => {
+            for (const row of authRows) authGroup.remove(row);
+
+            const accounts = settings.get_strv('accounts');
+            this._cookieRows = accounts.map(account =>
+                ({account, row: this._buildCookieRow(settings, account, accounts.length > 1)}));
+            authRows = [...this._cookieRows.map(({row}) => row), addRow, autoImportRow, testRow];
+            for (const row of authRows) authGroup.add(row);
+        };
+
+        Credentials.migrateFromSettings(settings, null, () => {
+            rebuildAccounts();
+        });
+
+        // ── Organizations group ──────────────────────────────────────────────
+        const orgGroup = new Adw.PreferencesGroup({
+            title: _('Organizations'),
+            description: _(
+                'Organizations found for your accounts. Only enabled ones are ' +
+                'polled; switch which one drives the panel bars from the ' +
+                'indicator menu.'
+            ),
+        });
+        page.add(orgGroup);
+
+        let orgRows = [];
+        const rebuildOrgs = () => {
+            for (const row of orgRows) orgGroup.remove(row);
+            orgRows = this._buildOrgRows(settings);
+            for (const row of orgRows) orgGroup.add(row);
+        };
+        rebuildOrgs();
+
+        const settingsIds = [
+            settings.connect('changed::usage-sources', syncSourceRows),
+            settings.connect('changed::accounts', rebuildAccounts),
+            settings.connect('changed::known-orgs', rebuildOrgs),
+        ];
+        window.connect('close-request', () => {
+            for (const id of settingsIds) settings.disconnect(id);
+            return false;
         });
 
         // ── Polling group ────────────────────────────────────────────────────
@@ -100,12 +280,160 @@ export default class ClaudeTokensPrefs extends ExtensionPreferences {
             Gio.SettingsBindFlags.DEFAULT);
         pollGroup.add(activeRow);
 
+        const idleTimeRow = new Adw.SpinRow({
+            title: _('Pause after idle (minutes)'),
+            subtitle: _('Resumes on the next input. 0 keeps polling while idle.'),
+            adjustment: new Gtk.Adjustment({
+                lower: 0, upper: 240, step_increment: 5,
+            }),
+        });
+        settings.bind('pause-after-idle', idleTimeRow, 'value',
+            Gio.SettingsBindFlags.DEFAULT);
+        pollGroup.add(idleTimeRow);
+
+        const errorsRow = new Adw.SpinRow({
+            title: _('Recent errors kept'),
+            subtitle: _('Failed refreshes listed in the menu, with their times.'),
+            adjustment: new Gtk.Adjustment({
+                lower: 1, upper: 50, step_increment: 1,
+            }),
+        });
+        settings.bind('error-history-size', errorsRow, 'value',
+            Gio.SettingsBindFlags.DEFAULT);
+        pollGroup.add(errorsRow);
+
+        // ── Notifications group ──────────────────────────────────────────────
+        const notifyGroup = new Adw.PreferencesGroup({
+            title: _('Notifications'),
+            description: _('Each threshold is notified once per window period.'),
+        });
+        page.add(notifyGroup);
+
+        const thresholdsRow = new Adw.EntryRow({
+            title: _('Thresholds (%, comma-separated)'),
+            text: settings.get_value('notify-thresholds').deepUnpack().join(', '),
+            show_apply_button: true,
+        });
+        thresholdsRow.connect('apply', () => {
+            const values = _parseNotifyThresholds(thresholdsRow.text);
+            if (values === null) {
+                thresholdsRow.add_css_class('error');
+                return;
+            }
+            thresholdsRow.remove_css_class('error');
+            settings.set_value('notify-thresholds', new GLib.Variant('ai', values));
+            thresholdsRow.text = values.join(', ');
+        });
+        notifyGroup.add(thresholdsRow);
+
+        for (const [key, title, subtitle] of [
+            ['notify-session', _('5-hour window'),
+                _('Notify when the session window crosses a threshold.')],
+            ['notify-weekly', _('Weekly quota'),
+                _('Notify when the weekly quota crosses a threshold.')],
+            ['notify-reset', _('Capacity is back'),
+                _('Notify when a depleted window resets.')],
+        ]) {
+            const row = new Adw.SwitchRow({title, subtitle});
+            settings.bind(key, row, 'active', Gio.SettingsBindFlags.DEFAULT);
+            notifyGroup.add(row);
+        }
+
+        // ── History group ────────────────────────────────────────────────────
+        const historyGroup = new Adw.PreferencesGroup({
+            title: _('History'),
+            description: _('Every poll is recorded locally for the usage charts.'),
+        });
+        page.add(historyGroup);
+
+        const retentionRow = new Adw.SpinRow({
+            title: _('Keep history for (days)'),
+            subtitle: _('Older samples are deleted.'),
+            adjustment: new Gtk.Adjustment({
+                lower: 7, upper: 365, step_increment: 1,
+            }),
+        });
+        settings.bind('history-retention-days', retentionRow, 'value',
+            Gio.SettingsBindFlags.DEFAULT);
+        historyGroup.add(retentionRow);
+
+        const compactRow = new Adw.SpinRow({
+            title: _('Compact after (days)'),
+            subtitle: _('Older samples are thinned to one per 15 minutes.'),
+            adjustment: new Gtk.Adjustment({
+                lower: 1, upper: 30, step_increment: 1,
+            }),
+        });
+        settings.bind('history-compact-after-days', compactRow, 'value',
+            Gio.SettingsBindFlags.DEFAULT);
+        historyGroup.add(compactRow);
+
+        const exportRow = this._buildExportRow(window, settings);
+        historyGroup.add(exportRow);
+
+        // "Export history…" in the panel menu opens this window
+        const onExportRequested = () => {
+            if (!settings.get_boolean('export-requested')) return;
+            settings.set_boolean('export-requested', false);
+            exportRow.expanded = true;
+            this._exportHistory(window, settings);
+        };
+        settingsIds.push(settings.connect('changed::export-requested', onExportRequested));
+        GLib.idle_add(GLib.PRIORITY_DEFAULT_IDLE, () => {
+            onExportRequested();
+            return GLib.SOURCE_REMOVE;
+        });
+
         // ── Display group ────────────────────────────────────────────────────
         const displayGroup = new Adw.PreferencesGroup({
             title: _('Display'),
         });
         page.add(displayGroup);
 
+        displayGroup.add(this._buildChoiceRow(settings, 'panel-mode', _('Panel layout'), [
+            ['bars', _('Progress bars')],
+            ['text', _('Percentages')],
+            ['ring', _('Ring gauge')],
+            ['icon', _('Icon only')],
+        ]));
+
+        const barWidthRow = new Adw.SpinRow({
+            title: _('Bar width (px)'),
+            adjustment: new Gtk.Adjustment({
+                lower: 30, upper: 400, step_increment: 10,
+            }),
+        });
+        settings.bind('bar-width', barWidthRow, 'value',
+            Gio.SettingsBindFlags.DEFAULT);
+        displayGroup.add(barWidthRow);
+
+        const barHeightRow = new Adw.SpinRow({
+            title: _('Bar height (px)'),
+            adjustment: new Gtk.Adjustment({
+                lower: 2, upper: 24, step_increment: 1,
+            }),
+        });
+        settings.bind('bar-height', barHeightRow, 'value',
+            Gio.SettingsBindFlags.DEFAULT);
+        displayGroup.add(barHeightRow);
+
+        displayGroup.add(this._buildChoiceRow(settings, 'panel-box', _('Panel area'), [
+            ['left', _('Left')],
+            ['center', _('Centre')],
+            ['right', _('Right')],
+        ]));
+
+        const indexRow = new Adw.SpinRow({
+            title: _('Position in area'),
+            subtitle: _('0 is the first item of the area.'),
+            adjustment: new Gtk.Adjustment({
+                lower: 0, upper: 50, step_increment: 1,
+            }),
+        });
+        settings.bind('panel-index', indexRow, 'value',
+            Gio.SettingsBindFlags.DEFAULT);
+        displayGroup.add(indexRow);
+
         const numbersRow = new Adw.SwitchRow({
             title: _('Show token counts'),
             subtitle: _('Display "used / total" numbers next to the progress bars.'),
@@ -114,6 +442,224 @@ export default class ClaudeTokensPrefs extends ExtensionPreferences {
             Gio.SettingsBindFlags.DEFAULT);
         displayGroup.add(numbersRow);
 
+        const markerRow = new Adw.SwitchRow({
+            title: _('Show projected level'),
+            subtitle: _('Mark on each bar where usage will be at reset time at the current pace.'),
+        });
+        settings.bind('show-projection-marker', markerRow, 'active',
+            Gio.SettingsBindFlags.DEFAULT);
+        displayGroup.add(markerRow);
+
+        const paceMarkerRow = new Adw.SwitchRow({
+            title: _('Show pace target'),
+            subtitle: _('Mark on the 5-hour, weekly and daily bars where usage would be by now at an even burn.'),
+        });
+        settings.bind('show-pace-marker', paceMarkerRow, 'active',
+            Gio.SettingsBindFlags.DEFAULT);
+        displayGroup.add(paceMarkerRow);
+
+        const countdownRow = new Adw.SwitchRow({
+            title: _('Show time to reset'),
+            subtitle: _('Display a countdown such as "1h 12m" next to each progress bar.'),
+        });
+        settings.bind('show-countdown', countdownRow, 'active',
+            Gio.SettingsBindFlags.DEFAULT);
+        displayGroup.add(countdownRow);
+
+        // Sizes, numbers and markers only apply to the bars
+        const syncModeRows = () => {
+            const bars = settings.get_string('panel-mode') === 'bars';
+            for (const row of [barWidthRow, barHeightRow, numbersRow, markerRow, paceMarkerRow, countdownRow]) {
+                row.sensitive = bars;
+            }
+        };
+        syncModeRows();
+        settingsIds.push(settings.connect('changed::panel-mode', syncModeRows));
+
+        // ── Levels group ─────────────────────────────────────────────────────
+        const levelGroup = new Adw.PreferencesGroup({
+            title: _('Colours and levels'),
+            description: _('When bars, rings and the icon turn to the warning and critical colours.'),
+        });
+        page.add(levelGroup);
+
+        levelGroup.add(this._buildChoiceRow(settings, 'color-palette', _('Palette'), [
+            ['adwaita', _('GNOME (blue, amber, red)')],
+            ['blue-yellow', _('Blue, yellow, purple')],
+            ['viridis', _('Viridis (teal, green, yellow)')],
+            ['grayscale', _('Grey shades')],
+            ['custom', _('Custom')],
+        ]));
+
+        const customRow = this._buildCustomColorsRow(settings);
+        levelGroup.add(customRow);
+        const syncCustomRow = () => {
+            customRow.visible = settings.get_string('color-palette') === 'custom';
+        };
+        syncCustomRow();
+        settingsIds.push(settings.connect('changed::color-palette', syncCustomRow));
+
+        levelGroup.add(this._buildChoiceRow(settings, 'panel-variant', _('Top panel'), [
+            ['dark', _('Dark')],
+            ['light', _('Light')],
+        ]));
+
+        const [warningRow, criticalRow] = [
+            ['warning-threshold', _('Warning from (%)')],
+            ['critical-threshold', _('Critical from (%)')],
+        ].map(([key, title]) => {
+            const row = new Adw.SpinRow({
+                title,
+                adjustment: new Gtk.Adjustment({
+                    lower: 1, upper: 200, step_increment: 5,
+                }),
+            });
+            settings.bind(key, row, 'value', Gio.SettingsBindFlags.DEFAULT);
+            levelGroup.add(row);
+            return row;
+        });
+        _pairLevelSpins(warningRow, criticalRow);
+
+        const paceRow = new Adw.SwitchRow({
+            title: _('Colour bars by pace'),
+            subtitle: _('Also warn when a window is used up faster than an even burn until its reset.'),
+        });
+        settings.bind('pace-coloring', paceRow, 'active', Gio.SettingsBindFlags.DEFAULT);
+        levelGroup.add(paceRow);
+
+        const paceMarginRow = new Adw.SpinRow({
+            title: _('Ahead of pace by (points)'),
+            subtitle: _('Warning colour from this far ahead, critical from twice as far.'),
+            adjustment: new Gtk.Adjustment({
+                lower: 1, upper: 50, step_increment: 5,
+            }),
+        });
+        settings.bind('pace-margin', paceMarginRow, 'value', Gio.SettingsBindFlags.DEFAULT);
+        levelGroup.add(paceMarginRow);
+
+        const syncPaceRow = () => {
+            paceMarginRow.sensitive = settings.get_boolean('pace-coloring');
+        };
+        settingsIds.push(settings.connect('changed::pace-coloring', syncPaceRow));
+        syncPaceRow();
+
+        let levelRows = [];
+        const rebuildLevels = () => {
+            for (const row of levelRows) levelGroup.remove(row);
+            levelRows = this._buildThresholdRows(settings);
+            for (const row of levelRows) levelGroup.add(row);
+        };
+        rebuildLevels();
+        settingsIds.push(settings.connect('changed::known-quotas', rebuildLevels));
+
+        // ── Quotas group ─────────────────────────────────────────────────────
+        const quotaGroup = new Adw.PreferencesGroup({
+            title: _('Panel bars'),
+            description: _('Quotas without a bar are still listed in the dropdown menu.'),
+        });
+        page.add(quotaGroup);
+
+        let quotaRows = [];
+        const rebuildQuotas = () => {
+            for (const row of quotaRows) quotaGroup.remove(row);
+            quotaRows = this._buildQuotaRows(settings);
+            for (const row of quotaRows) quotaGroup.add(row);
+        };
+        rebuildQuotas();
+        settingsIds.push(settings.connect('changed::known-quotas', rebuildQuotas));
+
+        // ── Shortcuts group ──────────────────────────────────────────────────
+        const shortcutGroup = new Adw.PreferencesGroup({
+            title: _('Keyboard shortcuts'),
+            description: _('Accelerators such as <Super><Alt>c; leave empty for none.'),
+        });
+        page.add(shortcutGroup);
+        shortcutGroup.add(this._buildShortcutRow(settings, 'menu-shortcut', _('Open the usage menu')));
+        shortcutGroup.add(this._buildShortcutRow(settings, 'refresh-shortcut', _('Refresh now')));
+
+        // ── Network group ────────────────────────────────────────────────────
+        const networkGroup = new Adw.PreferencesGroup({
+            title: _('Network'),
+            description: _('Used for every request, by the panel and by the Test button.'),
+        });
+        page.add(networkGroup);
+
+        networkGroup.add(this._buildChoiceRow(settings, 'proxy-mode', _('Proxy'), [
+            ['system', _('System settings')],
+            ['none', _('No proxy')],
+            ['manual', _('Manual')],
+        ]));
+
+        const proxyUrlRow = this._buildTextRow(settings, 'proxy-url',
+            _('Proxy URL (e.g. http://user@proxy:3128)'),
+            text => Client.proxyUrl(text, null));
+        networkGroup.add(proxyUrlRow);
+
+        const proxyPasswordRow = new Adw.PasswordEntryRow({
+            title: _('Proxy password'),
+            show_apply_button: true,
+        });
+        proxyPasswordRow.connect('apply', () => {
+            Credentials.storeProxyPassword(proxyPasswordRow.text, null, (ok, err) => {
+                if (!ok) {
+                    this._setTestStatus(`✗ ${err}`, false);
+                    return;
+                }
+                Credentials.notifyChanged(settings);
+            });
+        });
+        Credentials.lookupProxyPassword(null, (password, err) => {
+            if (err) {
+                this._setTestStatus(`✗ ${err}`, false);
+                return;
+            }
+            proxyPasswordRow.text = password ?? '';
+        });
+        networkGroup.add(proxyPasswordRow);
+
+        const syncProxyRows = () => {
+            const manual = settings.get_string('proxy-mode') === 'manual';
+            proxyUrlRow.sensitive = manual;
+            proxyPasswordRow.sensitive = manual;
+        };
+        settingsIds.push(settings.connect('changed::proxy-mode', syncProxyRows));
+        syncProxyRows();
+
+        const caRow = this._buildCaFileRow(window, settings);
+        const syncCaRow = () => {
+            caRow.subtitle = settings.get_string('ca-file') ||
+                _('None – only the system certificate authorities are trusted.');
+        };
+        settingsIds.push(settings.connect('changed::ca-file', syncCaRow));
+        syncCaRow();
+        networkGroup.add(caRow);
+
+        const timeoutRow = new Adw.SpinRow({
+            title: _('Request timeout (seconds)'),
+            subtitle: _('A request without an answer for this long is retried later.'),
+            adjustment: new Gtk.Adjustment({
+                lower: 5, upper: 300, step_increment: 5,
+            }),
+        });
+        settings.bind('request-timeout', timeoutRow, 'value',
+            Gio.SettingsBindFlags.DEFAULT);
+        networkGroup.add(timeoutRow);
+
+        networkGroup.add(this._buildTextRow(settings, 'base-url',
+            `${_('claude.ai API base URL')} (${Client.DEFAULT_BASE_URL})`,
+            text => {
+                if (!/^https?:\/\/[^/]+/.test(text)) throw new Error(_('Not an http(s) URL'));
+            }));
+        networkGroup.add(this._buildTextRow(settings, 'user-agent',
+            _('User-Agent (empty for the built-in one)')));
+
+        // ── Advanced group ───────────────────────────────────────────────────
+        const advancedGroup = new Adw.PreferencesGroup({
+            title: _('Advanced'),
+        });
+        page.add(advancedGroup);
+        advancedGroup.add(this._buildMappingRow(settings));
+
         // ── Info group ───────────────────────────────────────────────────────
         const infoGroup = new Adw.PreferencesGroup({
             title: _('About'),
@@ -143,11 +689,674 @@ export default class ClaudeTokensPrefs extends ExtensionPreferences {
         infoGroup.add(urlRow);
     }
 
+    // ── Accounts ──────────────────────────────────────────────────────────────
+
+    /**
+     * Password row for one account's cookie. It is saved to the keyring when
+     * the apply button is pressed rather than on every keystroke.
+     */
+    _buildCookieRow(settings, account, removable) {
+        const row = new Adw.PasswordEntryRow({
+            title: account === Credentials.DEFAULT_ACCOUNT
+                ? _('Session cookie (sessionKey)')
+                : `${_('Session cookie')} – ${account}`,
+            show_apply_button: true,
+        });
+        row.connect('apply', () => {
+            this._saveCookie(settings, account, row.text);
+        });
+
+        const importBtn = new Gtk.Button({
+            icon_name: 'web-browser-symbolic',
+            tooltip_text: _('Import from browser'),
+            valign: Gtk.Align.CENTER,
+            css_classes: ['flat'],
+        });
+        importBtn.connect('clicked', () => {
+            this._importCookie(settings, account, row, importBtn);
+        });
+        row.add_suffix(importBtn);
+
+        if (removable) {
+            const removeBtn = new Gtk.Button({
+                icon_name: 'user-trash-symbolic',
+                tooltip_text: _('Remove account'),
+                valign: Gtk.Align.CENTER,
+                css_classes: ['flat'],
+            });
+            removeBtn.connect('clicked', () => {
+                this._removeAccount(settings, account);
+            });
+            row.add_suffix(removeBtn);
+        }
+
+        Credentials.lookupSessionKey(account, null, (key, err) => {
+            if (err) {
+                this._setTestStatus(`✗ ${err}`, false);
+                return;
+            }
+            row.text = key ?? '';
+        });
+        return row;
+    }
+
+    _removeAccount(settings, account) {
+        Credentials.clearSessionKey(account, null, (ok, err) => {
+            if (!ok) {
+                this._setTestStatus(`✗ ${err}`, false);
+                return;
+            }
+            settings.set_strv('accounts',
+                settings.get_strv('accounts').filter(a => a !== account));
+            Credentials.notifyChanged(settings);
+        });
+    }
+
+    _saveCookie(settings, account, value, status = _('✓ Saved to keyring')) {
+        Credentials.storeSessionKey(account, value, null, (ok, err) => {
+            if (!ok) {
+                this._setTestStatus(`✗ ${err}`, false);
+                return;
+            }
+            Credentials.notifyChanged(settings);
+            this._setTestStatus(status, true);
+        });
+    }
+
+    /** Reads the claude.ai cookie from the local browser profiles into an account. */
+    _importCookie(settings, account, row, btn) {
+        btn.sensitive = false;
+        this._setTestStatus(_('Searching browser profiles…'), null);
+        Browser.importSessionKey(null, (found, err) => {
+            btn.sensitive = true;
+            if (!found) {
+                this._setTestStatus(`✗ ${err}`, false);
+                return;
+            }
+            row.text = found.value;
+            this._saveCookie(settings, account, found.value,
+                `✓ ${_('Imported from')} ${found.browser} (${found.profile})`);
+        });
+    }
+
+    // ── Organizations ─────────────────────────────────────────────────────────
+
+    /** One "show in panel" switch per quota seen by the indicator (`known-quotas`). */
+    _buildQuotaRows(settings) {
+        return _knownQuotas(settings).map(q => {
+            const row = new Adw.SwitchRow({
+                title: Parser.quotaLabel(q),
+                subtitle: q.id,
+                active: settings.get_strv('panel-quotas').includes(q.id),
+            });
+            row.connect('notify::active', () => {
+                const list = settings.get_strv('panel-quotas').filter(id => id !== q.id);
+                if (row.active) list.push(q.id);
+                settings.set_strv('panel-quotas', list);
+            });
+            return row;
+        });
+    }
+
+    /** One switch per org discovered by the indicator (`known-orgs`). */
+    _buildOrgRows(settings) {
+        let orgs;
+        try { orgs = JSON.parse(settings.get_string('known-orgs')); }
+        catch (_e) { orgs = []; }
+
+        if (!Array.isArray(orgs) || orgs.length === 0) {
+            return [new Adw.ActionRow({
+                title: _('No organizations discovered yet'),
+                subtitle: _('They appear here after the first successful poll.'),
+            })];
+        }
+
+        return orgs.map(org => {
+            const tracked = settings.get_strv('tracked-orgs');
+            const row = new Adw.SwitchRow({
+                title: org.name,
+                subtitle: `${org.account} · ${org.uuid}`,
+                active: tracked.length === 0 || tracked.includes(org.uuid),
+            });
+            row.connect('notify::active', () => {
+                let list = settings.get_strv('tracked-orgs');
+                if (list.length === 0) list = orgs.map(o => o.uuid);
+                list = row.active
+                    ? [...new Set([...list, org.uuid])]
+                    : list.filter(u => u !== org.uuid);
+
+                // Keep at least one org; an empty list would mean "all"
+                if (list.length === 0) {
+                    row.active = true;
+                    return;
+                }
+                // Everything enabled is stored as [] so new orgs are picked up
+                settings.set_strv('tracked-orgs',
+                    list.length === orgs.length ? [] : list);
+            });
+            return row;
+        });
+    }
+
+    // ── Levels ────────────────────────────────────────────────────────────────
+
+    /**
+     * One expander per known quota; switching it on gives that window its
+     * own levels in `level-thresholds`.
+     */
+    _buildThresholdRows(settings) {
+        return _knownQuotas(settings).map(q => {
+            const own = Levels.parseThresholds(settings.get_string('level-thresholds'))[q.id];
+            const row = new Adw.ExpanderRow({
+                title: Parser.quotaLabel(q),
+                subtitle: _('Own warning and critical levels'),
+                show_enable_switch: true,
+                enable_expansion: Boolean(own),
+            });
+
+            const spins = ['warning', 'critical'].map(level => {
+                const spin = new Adw.SpinRow({
+                    title: level === 'warning' ? _('Warning from (%)') : _('Critical from (%)'),
+                    adjustment: new Gtk.Adjustment({
+                        lower: 1, upper: 200, step_increment: 5,
+                        value: own?.[level] ?? settings.get_int(`${level}-threshold`),
+                    }),
+                });
+                row.add_row(spin);
+                return spin;
+            });
+            _pairLevelSpins(...spins);
+
+            const save = () => {
+                const all = Levels.parseThresholds(settings.get_string('level-thresholds'));
+                if (row.enable_expansion) {
+                    all[q.id] = {warning: spins[0].value, critical: spins[1].value};
+                } else {
+                    delete all[q.id];
+                }
+                settings.set_string('level-thresholds', JSON.stringify(all));
+            };
+            row.connect('notify::enable-expansion', save);
+            for (const spin of spins) spin.connect('notify::value', save);
+            return row;
+        });
+    }
+
+    /** Normal / warning / critical colour buttons for `custom-colors`. */
+    _buildCustomColorsRow(settings) {
+        const row = new Adw.ActionRow({
+            title: _('Custom colours'),
+            subtitle: _('Normal, warning, critical'),
+        });
+        const current = settings.get_strv('custom-colors');
+        const buttons = Levels.LEVELS.map((_level, i) => {
+            const rgba = new Gdk.RGBA();
+            rgba.parse(current[i] ?? Levels.PALETTES[Levels.DEFAULT_PALETTE].dark[i]);
+            const button = new Gtk.ColorDialogButton({
+                dialog: new Gtk.ColorDialog({with_alpha: false}),
+                rgba,
+                valign: Gtk.Align.CENTER,
+            });
+            row.add_suffix(button);
+            return button;
+        });
+        for (const button of buttons) {
+            button.connect('notify::rgba', () => {
+                settings.set_strv('custom-colors', buttons.map(b => _hexColor(b.rgba)));
+            });
+        }
+        return row;
+    }
+
+    // ── Choices ───────────────────────────────────────────────────────────────
+
+    /**
+     * Combo row for a string key with <choices>.
+     *
+     * @param {Array<[string, string]>} choices – [value, label] pairs
+     */
+    _buildChoiceRow(settings, key, title, choices) {
+        const row = new Adw.ComboRow({
+            title,
+            model: Gtk.StringList.new(choices.map(([, label]) => label)),
+            selected: Math.max(0, choices.findIndex(([value]) => value === settings.get_string(key))),
+        });
+        row.connect('notify::selected', () => {
+            settings.set_string(key, choices[row.selected][0]);
+        });
+        return row;
+    }
+
+    /**
+     * Entry row for a string key, saved when the apply button is pressed. An
+     * empty text always goes through; anything else only when `validate`
+     * does not throw.
+     */
+    _buildTextRow(settings, key, title, validate = null) {
+        const row = new Adw.EntryRow({
+            title,
+            text: settings.get_string(key),
+            show_apply_button: true,
+        });
+        row.connect('apply', () => {
+            const text = row.text.trim();
+            try {
+                if (text && validate) validate(text);
+            } catch (e) {
+                row.add_css_class('error');
+                row.tooltip_text = e.message;
+                return;
+            }
+            row.remove_css_class('error');
+            row.tooltip_text = null;
+            settings.set_string(key, text);
+        });
+        return row;
+    }
+
+    /** Entry row for a keybinding key, checked with Gtk.accelerator_parse(). */
+    _buildShortcutRow(settings, key, title) {
+        const row = new Adw.EntryRow({
+            title,
+            text: settings.get_strv(key)[0] ?? '',
+            show_apply_button: true,
+        });
+        row.connect('apply', () => {
+            const text = row.text.trim();
+            if (text && !Gtk.accelerator_parse(text)[0]) {
+                row.add_css_class('error');
+                return;
+            }
+            row.remove_css_class('error');
+            settings.set_strv(key, text ? [text] : []);
+        });
+        return row;
+    }
+
+    /** The extra CA bundle, picked with a file dialog. */
+    _buildCaFileRow(window, settings) {
+        const row = new Adw.ActionRow({
+            title: _('Extra CA bundle'),
+        });
+
+        const clearBtn = new Gtk.Button({
+            icon_name: 'edit-clear-symbolic',
+            tooltip_text: _('Trust the system CAs only'),
+            valign: Gtk.Align.CENTER,
+            css_classes: ['flat'],
+        });
+        clearBtn.connect('clicked', () => settings.set_string('ca-file', ''));
+        row.add_suffix(clearBtn);
+
+        const pickBtn = new Gtk.Button({
+            label: _('Choose…'),
+            valign: Gtk.Align.CENTER,
+        });
+        pickBtn.connect('clicked', () => {
+            const filter = new Gtk.FileFilter({name: _('PEM certificates')});
+            for (const pattern of ['*.pem', '*.crt', '*.cer']) filter.add_pattern(pattern);
+            const dialog = new Gtk.FileDialog({
+                title: _('Extra CA bundle'),
+                default_filter: filter,
+            });
+            dialog.open(window, null, (_dlg, result) => {
+                try {
+                    settings.set_string('ca-file', dialog.open_finish(result).get_path());
+                } catch (e) {
+                    if (!e.matches(Gtk.DialogError, Gtk.DialogError.DISMISSED)) {
+                        row.subtitle = `✗ ${e.message}`;
+                    }
+                }
+            });
+        });
+        row.add_suffix(pickBtn);
+        return row;
+    }
+
+    // ── History page ──────────────────────────────────────────────────────────
+
+    /**
+     * Charts and statistics of the recorded samples (history.js) for one
+     * org: daily use as a calendar heatmap, the peak of every window period
+     * and a summary. Filled once the history file has been read.
+     */
+    _buildHistoryPage(settings) {
+        const page = new Adw.PreferencesPage({
+            title: _('History'),
+            icon_name: 'x-office-calendar-symbolic',
+        });
+
+        const selectGroup = new Adw.PreferencesGroup({
+            description: _('Reading the usage history…'),
+        });
+        page.add(selectGroup);
+        const orgRow    = new Adw.ComboRow({title: _('Organization')});
+        const dailyRow  = new Adw.ComboRow({title: _('Daily use of')});
+        const periodRow = new Adw.ComboRow({title: _('Window periods of')});
+        selectGroup.add(orgRow);
+
+        const dailyGroup = new Adw.PreferencesGroup({
+            title: _('Daily use'),
+            description: _('One square per day and a column per week, darker for more use. Hover a day for its total.'),
+        });
+        page.add(dailyGroup);
+        dailyGroup.add(dailyRow);
+        const heatmap = new UsageHeatmap();
+        dailyGroup.add(heatmap);
+
+        const periodGroup = new Adw.PreferencesGroup({
+            title: _('Window periods'),
+            description: _('Highest use between two resets, e.g. per week for the weekly quota. The dashed line is the limit.'),
+        });
+        page.add(periodGroup);
+        periodGroup.add(periodRow);
+        const bars = new PeriodBars();
+        periodGroup.add(bars);
+
+        const statsGroup = new Adw.PreferencesGroup({title: _('Statistics')});
+        page.add(statsGroup);
+        const averageRow = new Adw.ActionRow({title: _('Average per day')});
+        const peakRow    = new Adw.ActionRow({title: _('Busiest hour of the day')});
+        statsGroup.add(averageRow);
+        statsGroup.add(peakRow);
+        let exhaustedRows = [];
+
+        let samples = [];   // of the selected org
+        let ids = [];
+        let all = [];
+        let orgs = [];
+        const names = _orgNames(settings);
+
+        const render = () => {
+            const now = Date.now();
+            const rules = new Levels.LevelRules(settings);
+            const dailyId  = ids[dailyRow.selected];
+            const periodId = ids[periodRow.selected];
+            if (!dailyId) return;
+
+            heatmap.setData(Report.dailyTotals(Report.consumption(samples, dailyId)),
+                heatmapWeeks(settings.get_int('history-retention-days')), now, rules.color('normal'));
+            bars.setData(Report.windowPeriods(samples, periodId).map(p => ({
+                ...p,
+                color: rules.color(rules.level({id: periodId, used: p.peak, limit: 1})),
+            })));
+
+            const stats = Report.summary(samples, dailyId, now);
+            averageRow.subtitle = stats.averageDaily === null
+                ? '–'
+                : `${_amount(stats.averageDaily, dailyId)} (${_quotaTitle(dailyId)})`;
+            peakRow.subtitle = stats.peakHour === null
+                ? '–'
+                : `${_hour(stats.peakHour)} – ${_hour((stats.peakHour + 1) % 24)}`;
+
+            for (const row of exhaustedRows) statsGroup.remove(row);
+            exhaustedRows = ids.filter(id => id in stats.exhausted).map(id => {
+                const n = stats.exhausted[id];
+                const row = new Adw.ActionRow({
+                    title: _('%s exhausted').format(_quotaTitle(id)),
+                    subtitle: n === 0 ? _('never') : ngettext('once', '%d times', n).format(n),
+                });
+                statsGroup.add(row);
+                return row;
+            });
+        };
+
+        // The quotas the org reported, the daily one defaulting to its 5-hour
+        // window and the period one to its weekly quota
+        const selectOrg = () => {
+            samples = all.filter(s => s.org === orgs[orgRow.selected]);
+            const present = new Set(samples.flatMap(s => Object.keys(s.quotas)));
+            ids = [...new Set([..._knownQuotas(settings).map(q => q.id), ...present])]
+                .filter(id => present.has(id));
+            const labels = ids.map(_quotaTitle);
+            const first = kind => Math.max(0, ids.findIndex(id => Parser.describeQuota(id).kind === kind));
+            dailyRow.model  = Gtk.StringList.new(labels);
+            periodRow.model = Gtk.StringList.new(labels);
+            dailyRow.selected  = first('session');
+            periodRow.selected = first('weekly');
+            render();
+        };
+
+        new UsageHistory(settings).load((loaded, err) => {
+            if (err) {
+                selectGroup.description = `✗ ${err}`;
+                return;
+            }
+            all = loaded;
+            orgs = [...new Set(loaded.map(s => s.org))];
+            if (orgs.length === 0) {
+                selectGroup.description = _('No usage recorded yet.');
+                return;
+            }
+            selectGroup.description = ngettext('%d sample since %s', '%d samples since %s', loaded.length)
+                .format(loaded.length, new Date(loaded[0].time).toLocaleDateString());
+            orgRow.model = Gtk.StringList.new(orgs.map(uuid => names[uuid] ?? uuid));
+            orgRow.visible = orgs.length > 1;
+            const active = orgs.indexOf(settings.get_string('active-org'));
+            orgRow.selected = Math.max(0, active);
+            selectOrg();
+
+            orgRow.connect('notify::selected', selectOrg);
+            dailyRow.connect('notify::selected', render);
+            periodRow.connect('notify::selected', render);
+        });
+
+        return page;
+    }
+
+    // ── Export ────────────────────────────────────────────────────────────────
+
+    /**
+     * Expander with the date range and format of the history export; the
+     * file is picked when "Export…" is pressed.
+     */
+    _buildExportRow(window, settings) {
+        const row = new Adw.ExpanderRow({
+            title: _('Export samples'),
+            subtitle: _('Save the recorded usage as CSV or JSON.'),
+        });
+
+        const today = Report.dayStart(Date.now());
+        this._exportFrom = this._buildDateRow(_('From'), today - 6 * DAY_MS);
+        this._exportTo   = this._buildDateRow(_('To'), today);
+        row.add_row(this._exportFrom.row);
+        row.add_row(this._exportTo.row);
+
+        this._exportFormat = new Adw.ComboRow({
+            title: _('Format'),
+            model: Gtk.StringList.new(Export.FORMATS.map(f => f.toUpperCase())),
+        });
+        row.add_row(this._exportFormat);
+
+        const saveRow = new Adw.ActionRow({title: ''});
+        this._exportStatusLabel = new Gtk.Label({
+            label: '',
+            xalign: 0,
+            hexpand: true,
+            wrap: true,
+            css_classes: ['dim-label'],
+        });
+        const saveBtn = new Gtk.Button({
+            label: _('Export…'),
+            valign: Gtk.Align.CENTER,
+        });
+        saveBtn.connect('clicked', () => this._exportHistory(window, settings));
+        saveRow.add_prefix(this._exportStatusLabel);
+        saveRow.add_suffix(saveBtn);
+        row.add_row(saveRow);
+        return row;
+    }
+
+    /** Row with a calendar popover; `day()` is the picked local midnight. */
+    _buildDateRow(title, initial) {
+        const row = new Adw.ActionRow({title});
+        const calendar = new Gtk.Calendar();
+        calendar.select_day(GLib.DateTime.new_from_unix_local(initial / 1000));
+
+        const button = new Gtk.MenuButton({
+            valign: Gtk.Align.CENTER,
+            popover: new Gtk.Popover({child: calendar}),
+        });
+        const day = () => {
+            const d = calendar.get_date();
+            return new Date(d.get_year(), d.get_month() - 1, d.get_day_of_month()).getTime();
+        };
+        const sync = () => {
+            button.label = new Date(day()).toLocaleDateString();
+        };
+        calendar.connect('day-selected', () => {
+            sync();
+            button.popover.popdown();
+        });
+        sync();
+
+        row.add_suffix(button);
+        row.activatable_widget = button;
+        return {row, day};
+    }
+
+    /** Asks for a file and writes the samples of the chosen range to it. */
+    _exportHistory(window, settings) {
+        const from   = Math.min(this._exportFrom.day(), this._exportTo.day());
+        const to     = Math.max(this._exportFrom.day(), this._exportTo.day()) + DAY_MS;
+        const format = Export.FORMATS[this._exportFormat.selected] ?? 'csv';
+        const isoDay = ms => GLib.DateTime.new_from_unix_local(ms / 1000).format('%F');
+
+        const dialog = new Gtk.FileDialog({
+            title: _('Export usage history'),
+            initial_name: `claude-usage-${isoDay(from)}-${isoDay(to - DAY_MS)}.${format}`,
+        });
+        dialog.save(window, null, (_dlg, result) => {
+            let file;
+            try {
+                file = dialog.save_finish(result);
+            } catch (e) {
+                if (!e.matches(Gtk.DialogError, Gtk.DialogError.DISMISSED)) {
+                    this._exportStatusLabel.label = `✗ ${e.message}`;
+                }
+                return;
+            }
+
+            new UsageHistory(settings).load((samples, err) => {
+                if (err) {
+                    this._exportStatusLabel.label = `✗ ${err}`;
+                    return;
+                }
+                const selected = Export.samplesInRange(samples, from, to);
+                const names = _orgNames(settings);
+                const text = format === 'json'
+                    ? Export.toJson(selected, names, from, to)
+                    : Export.toCsv(selected, names);
+
+                file.replace_contents_bytes_async(new GLib.Bytes(new TextEncoder().encode(text)),
+                    null, false, Gio.FileCreateFlags.REPLACE_DESTINATION, null, (f, res) => {
+                        try {
+                            f.replace_contents_finish(res);
+                            this._exportStatusLabel.label = `✓ ${ngettext('%d sample saved to %s',
+                                '%d samples saved to %s', selected.length).format(selected.length, f.get_basename())}`;
+                        } catch (e) {
+                            this._exportStatusLabel.label = `✗ ${e.message}`;
+                        }
+                    });
+            });
+        });
+    }
+
+    // ── Custom quota mapping ──────────────────────────────────────────────────
+
+    /**
+     * Expander with a JSON editor for `custom-quota-mapping`; the text is
+     * validated with parser.js before it is saved.
+     */
+    _buildMappingRow(settings) {
+        const row = new Adw.ExpanderRow({
+            title: _('Custom quota mapping'),
+            subtitle: _('JSON paths into the rate_limit_status response, for when claude.ai changes its format.'),
+        });
+
+        const buffer = new Gtk.TextBuffer({
+            text: settings.get_string('custom-quota-mapping'),
+        });
+        const view = new Gtk.TextView({
+            buffer,
+            monospace: true,
+            wrap_mode: Gtk.WrapMode.WORD_CHAR,
+            top_margin: 6, bottom_margin: 6, left_margin: 6, right_margin: 6,
+        });
+        const scroller = new Gtk.ScrolledWindow({
+            child: view,
+            min_content_height: 140,
+            margin_top: 6, margin_bottom: 6, margin_start: 6, margin_end: 6,
+        });
+
+        const status = new Gtk.Label({
+            label: '',
+            xalign: 0,
+            hexpand: true,
+            wrap: true,
+            css_classes: ['dim-label'],
+        });
+        const applyBtn = new Gtk.Button({
+            label: _('Apply'),
+            valign: Gtk.Align.CENTER,
+        });
+        applyBtn.connect('clicked', () => {
+            const text = buffer.text.trim();
+            if (text) {
+                let err;
+                try {
+                    err = Parser.validateMapping(JSON.parse(text));
+                } catch (e) {
+                    err = e.message;
+                }
+                if (err) {
+                    status.label = `✗ ${err}`;
+                    return;
+                }
+            }
+            settings.set_string('custom-quota-mapping', text);
+            status.label = text ? _('✓ Mapping saved') : _('✓ Mapping cleared');
+        });
+
+        const footer = new Gtk.Box({
+            spacing: 12,
+            margin_bottom: 6, margin_start: 6, margin_end: 6,
+        });
+        footer.append(status);
+        footer.append(applyBtn);
+
+        const box = new Gtk.Box({orientation: Gtk.Orientation.VERTICAL});
+        box.append(new Gtk.Label({
+            label: _(
+                'Example: {"session": {"percent": "$.five_hour.utilization", ' +
+                '"reset": "$.five_hour.resets_at"}, "weekly": {"used": "$.week.used", ' +
+                '"limit": "$.week.limit"}}\nKeys are quota ids: session, weekly, ' +
+                'weekly_opus, … or any other lowercase name. Use "Copy raw response" ' +
+                'in the panel menu to see the payload. Leave empty to use the built-in formats.'
+            ),
+            xalign: 0,
+            wrap: true,
+            margin_top: 6, margin_start: 6, margin_end: 6,
+            css_classes: ['dim-label', 'caption'],
+        }));
+        box.append(scroller);
+        box.append(footer);
+        row.add_row(box);
+        return row;
+    }
+
     // ── Test connection ───────────────────────────────────────────────────────
 
-    _testConnection(settings, btn) {
-        const key = (settings.get_string('session-cookie') ?? '').trim();
-        if (!key) {
+    /**
+     * Tests every entered cookie in turn.
+     *
+     * @param {Gio.Settings} settings
+     * @param {Array<[string, string]>} entries – [account, cookie] pairs
+     * @param {Gtk.Button} btn
+     */
+    _testConnection(settings, entries, btn) {
+        const pending = entries.filter(([, value]) => Credentials.cookieHeader(value));
+        if (pending.length === 0) {
             this._setTestStatus('⚠ No cookie entered.', false);
             return;
         }
@@ -155,31 +1364,51 @@ export default class ClaudeTokensPrefs extends ExtensionPreferences {
         btn.sensitive = false;
         this._setTestStatus(_('Testing…'), null);
 
-        const session = new Soup.Session();
-        const cookie  = key.startsWith('sessionKey=') ? key : `sessionKey=${key}`;
-        const msg = Soup.Message.new('GET', 'https://claude.ai/api/auth/current_account');
-        msg.request_headers.append('Cookie', cookie);
-        msg.request_headers.append('User-Agent',
-            'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 Chrome/120.0.0.0 Safari/537.36');
-        msg.request_headers.append('Accept', 'application/json');
-
-        session.send_and_read_async(msg, GLib.PRIORITY_DEFAULT, null,
-            (_sess, result) => {
-                btn.sensitive = true;
-                try {
-                    _sess.send_and_read_finish(result);
-                    const status = msg.get_status();
-                    if (status === 200) {
-                        this._setTestStatus(_('✓ Connection successful!'), true);
-                    } else if (status === 401 || status === 403) {
-                        this._setTestStatus(_('✗ Authentication failed – wrong cookie?'), false);
-                    } else {
-                        this._setTestStatus(`✗ HTTP ${status}`, false);
-                    }
-                } catch (e) {
-                    this._setTestStatus(`✗ ${e.message}`, false);
+        // The entered cookies, saved or not, with the indicator's client
+        Credentials.lookupProxyPassword(null, (password, err) => {
+            if (err) console.warn(`[claude-tokens] Proxy password: ${err}`);
+            const provider = new WebProvider(settings, Client.createSession(settings, password), () => {});
+            provider.setCookies(new Map(pending));
+
+            const results = [];
+            const next = i => {
+                if (i >= pending.length) {
+                    provider.destroy();
+                    btn.sensitive = true;
+                    this._setTestStatus(results.map(r => r.text).join('\n'),
+                        results.every(r => r.ok));
+                    return;
                 }
-            });
+                const [account] = pending[i];
+                this._testAccount(provider, account, (ok, text) => {
+                    results.push({ok, text: pending.length > 1 ? `${account}: ${text}` : text});
+                    next(i + 1);
+                });
+            };
+            next(0);
+        });
+    }
+
+    /**
+     * Runs the indicator's pipeline for one account – org, rate_limit_status,
+     * parsing – and sums up what the panel would show.
+     */
+    _testAccount(provider, account, callback) {
+        provider.check(account, (results, err) => {
+            if (err) {
+                callback(false, err instanceof Parser.ParseError
+                    ? `✗ ${_('Unknown response')}: ${err.message}`
+                    : `✗ ${err.message}`);
+                return;
+            }
+            callback(true, results.map(({org, usage}) => {
+                const name = org.plan ? `${org.name} (${org.plan})` : org.name;
+                const quotas = usage.quotas
+                    .filter(q => q.limit > 0)
+                    .map(q => `${Parser.quotaShortLabel(q)} ${Math.round(q.used / q.limit * 100)}%`);
+                return `✓ ${[name, ...quotas].join(' · ')}`;
+            }).join('\n'));
+        });
     }
 
     _setTestStatus(text, ok) {
@@ -192,4 +1421,77 @@ export default class ClaudeTokensPrefs extends ExtensionPreferences {
     }
 }
 
+/** Quotas the indicator has seen, or the two classic windows before that */
+function _knownQuotas(settings) {
+    let quotas;
+    try { quotas = JSON.parse(settings.get_string('known-quotas')); }
+    catch (_e) { quotas = []; }
+    if (!Array.isArray(quotas) || quotas.length === 0) {
+        quotas = ['session', 'weekly'].map(id => ({...Parser.describeQuota(id), id}));
+    }
+    return quotas;
+}
+
+/** Gdk.RGBA → "#rrggbb" */
+function _hexColor(rgba) {
+    return `#${[rgba.red, rgba.green, rgba.blue]
+        .map(c => Math.round(c * 255).toString(16).padStart(2, '0')).join('')}`;
+}
+
+function _quotaTitle(id) {
+    return Parser.quotaLabel({...Parser.describeQuota(id), id});
+}
 
+/** Amount of a quota, dollars for spend */
+function _amount(n, id) {
+    if (Parser.describeQuota(id).kind === 'spend') return `$${n.toFixed(2)}`;
+    return Math.round(n).toLocaleString();
+}
+
+/** Local hour of day, e.g. "14:00" */
+function _hour(h) {
+    return new Date(2000, 0, 1, h).toLocaleTimeString(undefined, {hour: '2-digit', minute: '2-digit'});
+}
+
+/** Org UUID → name, for the history export and the History page */
+function _orgNames(settings) {
+    const names = {[API_ORG_ID]: _('Anthropic API'), [LOCAL_ORG_ID]: _('Claude Code logs')};
+    try {
+        for (const org of JSON.parse(settings.get_string('known-orgs'))) names[org.uuid] = org.name;
+    } catch (_e) {
+        // no orgs discovered yet
+    }
+    return names;
+}
+
+/**
+ * Keeps a warning level spin below its critical one; at or above it the
+ * warning colour would never show.
+ *
+ * @param {Adw.SpinRow} warning
+ * @param {Adw.SpinRow} critical
+ */
+function _pairLevelSpins(warning, critical) {
+    const sync = () => {
+        critical.adjustment.lower = warning.value + 1;
+        warning.adjustment.upper  = critical.value - 1;
+    };
+    warning.connect('notify::value', sync);
+    critical.connect('notify::value', sync);
+    sync();
+}
+
+/**
+ * Parses the notification thresholds "50, 80, 95, 100" into a sorted list
+ * of unique percentages. The warning and critical levels are parsed by
+ * Levels.parseThresholds().
+ *
+ * @param {string} text
+ * @returns {number[]|null} null if any entry is not a number in 1–200
+ */
+function _parseNotifyThresholds(text) {
+    const parts = text.split(/[,\s]+/).filter(p => p);
+    const values = parts.map(p => Number(p));
+    if (values.some(v => !Number.isInteger(v) || v < 1 || v > 200)) return null;
+    return [...new Set(values)].sort((a, b) => a - b);
+}
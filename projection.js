@@ -0,0 +1,113 @@
+/**
+ * Claude Token Monitor – Burn-rate projection
+ *
+ * Estimates how fast a quota window is being consumed from recent history
+ * samples (see history.js) and projects when its limit will be hit, and
+ * compares usage with an even burn over the window (pace()). The menu's pace
+ * lines and both bar markers are computed here.
+ */
+
+// ─── Constants ───────────────────────────────────────────────────────────────
+
+/** How far back to look when measuring the current rate */
+export const SESSION_LOOKBACK_MS = 30 * 60 * 1000;
+export const WEEKLY_LOOKBACK_MS  = 6 * 60 * 60 * 1000;
+
+const MIN_SPAN_MS = 2 * 60 * 1000; // need at least 2 min of samples
+
+/** Length of the windows that reset on a fixed cycle, by quota kind */
+export const WINDOW_MS = {
+    session: 5 * 60 * 60 * 1000,
+    weekly:  7 * 24 * 60 * 60 * 1000,
+    daily:   24 * 60 * 60 * 1000,
+};
+
+// ─── Rate / projection ───────────────────────────────────────────────────────
+
+/**
+ * Current consumption rate of one quota, measured over the lookback period
+ * but never across a window reset (a drop in usage).
+ *
+ * @param {object[]} samples – history samples of one org, oldest first
+ * @param {string} id – quota id, e.g. 'session' or 'weekly_opus'
+ * @param {number} now – epoch ms
+ * @param {number} lookback – ms
+ * @returns {number|null} tokens per ms, or null without enough data
+ */
+export function burnRate(samples, id, now, lookback) {
+    let recent = samples.filter(s => s.time >= now - lookback && s.quotas?.[id])
+        .map(s => ({time: s.time, used: s.quotas[id].used}));
+
+    for (let i = recent.length - 1; i > 0; i--) {
+        if (recent[i].used < recent[i - 1].used) {
+            recent = recent.slice(i);
+            break;
+        }
+    }
+    if (recent.length < 2) return null;
+
+    const first = recent[0];
+    const last  = recent[recent.length - 1];
+    const span  = last.time - first.time;
+    if (span < MIN_SPAN_MS) return null;
+
+    return Math.max(0, (last.used - first.used) / span);
+}
+
+/**
+ * Projects a window forward at a constant rate.
+ *
+ * @param {number} used
+ * @param {number} limit
+ * @param {string|null} reset – ISO-8601 reset time, if known
+ * @param {number|null} rate – tokens per ms, from burnRate()
+ * @param {number} now – epoch ms
+ * @returns {{rate: number|null, hitTime: number|null, resetTime: number|null, atReset: number|null}}
+ *   hitTime   – when usage reaches the limit (now if it already has), null
+ *               when there is no consumption to extrapolate
+ *   resetTime – parsed reset time, null if unknown
+ *   atReset   – projected used / limit at the reset time, null if unknown
+ */
+export function project(used, limit, reset, rate, now) {
+    const parsed    = reset ? Date.parse(reset) : NaN;
+    const resetTime = Number.isFinite(parsed) ? parsed : null;
+    const result    = {rate, hitTime: null, resetTime, atReset: null};
+
+    if (limit <= 0) return result;
+
+    if (used >= limit) {
+        result.hitTime = now;
+    } else if (rate > 0) {
+        result.hitTime = now + (limit - used) / rate;
+    }
+
+    if (rate !== null && resetTime !== null && resetTime > now) {
+        result.atReset = (used + rate * (resetTime - now)) / limit;
+    }
+    return result;
+}
+
+// ─── Pacing ──────────────────────────────────────────────────────────────────
+
+/**
+ * Compares usage with an even burn: spread over the whole window, the limit
+ * would be reached exactly at the reset, so after 2 of 7 days 2/7 of it is
+ * on pace.
+ *
+ * @param {number} used
+ * @param {number} limit
+ * @param {string|null} reset – ISO-8601 reset time
+ * @param {number|undefined} windowMs – window length, from WINDOW_MS
+ * @param {number} now – epoch ms
+ * @returns {{target: number, delta: number}|null} target – on-pace
+ *   used / limit by now; delta – actual minus target, positive when ahead.
+ *   Null without a limit, window length or upcoming reset.
+ */
+export function pace(used, limit, reset, windowMs, now) {
+    const resetTime = reset ? Date.parse(reset) : NaN;
+    if (!(limit > 0) || !(windowMs > 0) || !(resetTime > now)) return null;
+
+    const elapsed = windowMs - (resetTime - now);
+    const target  = Math.min(Math.max(elapsed / windowMs, 0), 1);
+    return {target, delta: used / limit - target};
+}
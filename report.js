@@ -0,0 +1,135 @@
+/**
+ * Claude Token Monitor – Usage report
+ *
+ * Statistics over the recorded history samples (history.js) for the
+ * preferences' History page: how much of a quota was used per day and per
+ * hour of day, and the peak of every window period – the stretch between two
+ * resets, recognised by usage dropping.
+ *
+ * Each function walks the whole sample list once; the History page simply
+ * recomputes everything when its selection changes.
+ */
+
+// ─── Constants ───────────────────────────────────────────────────────────────
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ─── Consumption ─────────────────────────────────────────────────────────────
+
+/**
+ * What was used between consecutive samples of one quota: the growth, or
+ * after a reset the usage since then. Each org is followed separately.
+ *
+ * @param {object[]} samples – time-sorted, as loaded by UsageHistory
+ * @param {string} id – quota id
+ * @returns {Array<{time: number, amount: number}>} at the later sample's time
+ */
+export function consumption(samples, id) {
+    const last = new Map();   // org → used at its previous sample
+    const events = [];
+    for (const s of samples) {
+        const q = s.quotas?.[id];
+        if (!q) continue;
+        const prev = last.get(s.org);
+        last.set(s.org, q.used);
+        if (prev === undefined) continue;
+
+        const amount = q.used >= prev ? q.used - prev : q.used;
+        if (amount > 0) events.push({time: s.time, amount});
+    }
+    return events;
+}
+
+/** Local midnight starting the day of `ms` */
+export function dayStart(ms) {
+    const d = new Date(ms);
+    d.setHours(0, 0, 0, 0);
+    return d.getTime();
+}
+
+/**
+ * @param {Array<{time: number, amount: number}>} events – from consumption()
+ * @returns {Map<number, number>} local day start → amount
+ */
+export function dailyTotals(events) {
+    const days = new Map();
+    for (const {time, amount} of events) {
+        const day = dayStart(time);
+        days.set(day, (days.get(day) ?? 0) + amount);
+    }
+    return days;
+}
+
+/**
+ * @param {Array<{time: number, amount: number}>} events – from consumption()
+ * @returns {number[]} 24 amounts, by local hour of day
+ */
+export function hourlyTotals(events) {
+    const hours = new Array(24).fill(0);
+    for (const {time, amount} of events) hours[new Date(time).getHours()] += amount;
+    return hours;
+}
+
+// ─── Window periods ──────────────────────────────────────────────────────────
+
+/**
+ * The periods of one quota, e.g. one per week for the weekly quota.
+ *
+ * @param {object[]} samples – time-sorted
+ * @param {string} id – quota id
+ * @returns {Array<{org: string, start: number, end: number, peak: number, exhausted: boolean}>}
+ *   start / end – first and last sample; peak – highest used / limit
+ */
+export function windowPeriods(samples, id) {
+    const open = new Map();   // org → its current period
+    const periods = [];
+    for (const s of samples) {
+        const q = s.quotas?.[id];
+        if (!(q?.limit > 0)) continue;
+
+        let period = open.get(s.org);
+        if (!period || q.used < period.used) {
+            period = {org: s.org, start: s.time, end: s.time, peak: 0, exhausted: false, used: 0};
+            open.set(s.org, period);
+            periods.push(period);
+        }
+        period.end  = s.time;
+        period.used = q.used;
+        period.peak = Math.max(period.peak, q.used / q.limit);
+        period.exhausted ||= q.used >= q.limit;
+    }
+    return periods.map(({used: _used, ...period}) => period);
+}
+
+// ─── Summary ─────────────────────────────────────────────────────────────────
+
+/**
+ * @param {object[]} samples – time-sorted
+ * @param {string} id – quota whose consumption is averaged
+ * @param {number} now – epoch ms
+ * @returns {{averageDaily: number|null, peakHour: number|null, exhausted: Object<string, number>}}
+ *   averageDaily – per calendar day since the first sample, today included;
+ *   peakHour – local hour (0–23) with the most use; exhausted – quota id →
+ *   number of periods that reached the limit
+ */
+export function summary(samples, id, now) {
+    const events = consumption(samples, id);
+    const first  = samples.find(s => s.quotas?.[id]);
+    const days   = first ? Math.round((dayStart(now) - dayStart(first.time)) / DAY_MS) + 1 : 0;
+    const total  = events.reduce((sum, e) => sum + e.amount, 0);
+
+    const hours = hourlyTotals(events);
+    const peak  = Math.max(...hours);
+
+    const ids = new Set(samples.flatMap(s => Object.keys(s.quotas ?? {})));
+    const exhausted = {};
+    for (const quota of ids) {
+        exhausted[quota] = windowPeriods(samples, quota).filter(p => p.exhausted).length;
+    }
+
+    return {
+        averageDaily: days > 0 ? total / days : null,
+        peakHour: peak > 0 ? hours.indexOf(peak) : null,
+        exhausted,
+    };
+}
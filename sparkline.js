@@ -0,0 +1,72 @@
+/**
+ * Claude Token Monitor – Sparkline widget
+ *
+ * A small Cairo-drawn line chart of usage over a time span ending now, used
+ * in the dropdown menu to show how fast a window was burned through. The
+ * line takes the widget's CSS `color`; a faint guide marks 100 %.
+ */
+
+import GObject from 'gi://GObject';
+import St from 'gi://St';
+
+export const Sparkline = GObject.registerClass(
+class Sparkline extends St.DrawingArea {
+    _init(params = {}) {
+        super._init({
+            style_class: 'ct-sparkline',
+            ...params,
+        });
+
+        this._points = [];   // [[epoch ms, used fraction]]
+        this._span   = 1;
+        this._end    = 0;
+    }
+
+    /**
+     * @param {Array<[number, number]>} points – [epoch ms, used / limit], oldest first
+     * @param {number} span – visible time span in ms, ending now
+     */
+    setData(points, span) {
+        this._points = points;
+        this._span   = span;
+        this._end    = Date.now();
+        this.queue_repaint();
+    }
+
+    vfunc_repaint() {
+        const cr = this.get_context();
+        const [width, height] = this.get_surface_size();
+        const fg = this.get_theme_node().get_foreground_color();
+
+        // Scale to 100 %, or higher when the window overshot
+        const top  = this._points.reduce((m, [, v]) => Math.max(m, v), 1);
+        const xOf  = t => width * (1 - (this._end - t) / this._span);
+        const yOf  = v => height - 1 - (height - 2) * (v / top);
+
+        // 100 % guide
+        cr.setSourceRGBA(1, 1, 1, 0.25);
+        cr.setLineWidth(1);
+        cr.setDash([2, 2], 0);
+        cr.moveTo(0, Math.round(yOf(1)) + 0.5);
+        cr.lineTo(width, Math.round(yOf(1)) + 0.5);
+        cr.stroke();
+        cr.setDash([], 0);
+
+        if (this._points.length > 0) {
+            const [t0, v0] = this._points[0];
+            cr.moveTo(Math.max(0, xOf(t0)), yOf(v0));
+            for (const [t, v] of this._points.slice(1)) {
+                cr.lineTo(xOf(t), yOf(v));
+            }
+            // Hold the last value up to "now"
+            const [, vLast] = this._points[this._points.length - 1];
+            cr.lineTo(width, yOf(vLast));
+
+            cr.setSourceRGBA(fg.red / 255, fg.green / 255, fg.blue / 255, fg.alpha / 255);
+            cr.setLineWidth(1.5);
+            cr.stroke();
+        }
+
+        cr.$dispose();
+    }
+});
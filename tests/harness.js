@@ -0,0 +1,170 @@
+/**
+ * Claude Token Monitor – minimal test harness
+ *
+ * Just enough of a test runner for gjs without extra dependencies: test()
+ * registers a case, run() executes them in order on a GLib main loop. A case
+ * that takes an argument is asynchronous and must call done(), optionally
+ * with an error.
+ */
+
+import GLib from 'gi://GLib';
+
+// ─── Constants ───────────────────────────────────────────────────────────────
+
+const ASYNC_TIMEOUT_MS = 5000;
+
+const _tests = [];
+
+// ─── Registration ────────────────────────────────────────────────────────────
+
+/**
+ * @param {string} name
+ * @param {function(function(Error=))|function()} fn
+ */
+export function test(name, fn) {
+    _tests.push({name, fn});
+}
+
+// ─── Assertions ──────────────────────────────────────────────────────────────
+
+export class AssertionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AssertionError';
+    }
+}
+
+export const assert = {
+    ok(value, message = 'expected a truthy value') {
+        if (!value) throw new AssertionError(message);
+    },
+
+    equal(actual, expected, message = '') {
+        if (actual !== expected) {
+            throw new AssertionError(
+                `${message ? `${message}: ` : ''}expected ${_show(expected)}, got ${_show(actual)}`);
+        }
+    },
+
+    deepEqual(actual, expected, message = '') {
+        if (_show(actual) !== _show(expected)) {
+            throw new AssertionError(
+                `${message ? `${message}: ` : ''}expected ${_show(expected)}, got ${_show(actual)}`);
+        }
+    },
+
+    match(actual, regex, message = '') {
+        if (!regex.test(String(actual))) {
+            throw new AssertionError(
+                `${message ? `${message}: ` : ''}expected ${_show(actual)} to match ${regex}`);
+        }
+    },
+
+    /** Returns the thrown error for further checks. */
+    throws(fn, ErrorClass = Error) {
+        try {
+            fn();
+        } catch (e) {
+            if (!(e instanceof ErrorClass)) {
+                throw new AssertionError(`expected ${ErrorClass.name}, got ${e}`);
+            }
+            return e;
+        }
+        throw new AssertionError(`expected ${ErrorClass.name} to be thrown`);
+    },
+};
+
+/**
+ * Wraps a callback of an asynchronous test so a failed assertion inside it
+ * ends the test with that error instead of escaping into the main loop.
+ *
+ * @param {function(Error=)} done
+ * @param {function(...*)} fn
+ */
+export function guard(done, fn) {
+    return (...args) => {
+        try {
+            fn(...args);
+        } catch (e) {
+            done(e);
+        }
+    };
+}
+
+function _show(value) {
+    return JSON.stringify(value);
+}
+
+// ─── Runner ──────────────────────────────────────────────────────────────────
+
+/**
+ * Runs every registered test and prints a TAP-like report.
+ *
+ * @returns {number} process exit status – 0 when all passed
+ */
+export function run() {
+    const loop = new GLib.MainLoop(null, false);
+    let failed = 0;
+
+    const report = (t, err) => {
+        if (err) {
+            failed++;
+            print(`not ok - ${t.name}`);
+            printerr(`  ${err.stack ?? err}`.replace(/\n/g, '\n  '));
+        } else {
+            print(`ok - ${t.name}`);
+        }
+    };
+
+    const next = i => {
+        if (i >= _tests.length) {
+            print(`\n${_tests.length - failed}/${_tests.length} passed`);
+            loop.quit();
+            return;
+        }
+
+        const t = _tests[i];
+        if (t.fn.length === 0) {
+            let err = null;
+            try {
+                t.fn();
+            } catch (e) {
+                err = e;
+            }
+            report(t, err);
+            next(i + 1);
+            return;
+        }
+
+        let finished = false;
+        const finish = err => {
+            if (finished) return;
+            finished = true;
+            GLib.source_remove(timerId);
+            report(t, err);
+            // Leave the callback that called done() before starting the next test
+            GLib.idle_add(GLib.PRIORITY_DEFAULT, () => {
+                next(i + 1);
+                return GLib.SOURCE_REMOVE;
+            });
+        };
+        const timerId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, ASYNC_TIMEOUT_MS, () => {
+            finished = true;
+            report(t, new AssertionError(`timed out after ${ASYNC_TIMEOUT_MS} ms`));
+            next(i + 1);
+            return GLib.SOURCE_REMOVE;
+        });
+        try {
+            t.fn(finish);
+        } catch (e) {
+            finish(e);
+        }
+    };
+
+    GLib.idle_add(GLib.PRIORITY_DEFAULT, () => {
+        next(0);
+        return GLib.SOURCE_REMOVE;
+    });
+    loop.run();
+    return failed === 0 ? 0 : 1;
+}
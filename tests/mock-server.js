@@ -0,0 +1,147 @@
+/**
+ * Claude Token Monitor – local mock of the claude.ai and Admin APIs
+ *
+ * Serves the recorded responses under tests/fixtures so the client, the
+ * parser and the whole indicator can be exercised without network access.
+ * Scenarios are picked by the request itself:
+ *
+ *   GET /api/auth/current_account
+ *       Cookie "sessionKey=<name>" → fixtures/account/<name>.json
+ *   GET /api/organizations/<name>/rate_limit_status
+ *       → fixtures/usage/<name>.json
+ *   GET /v1/organizations/{me,usage_report/messages,cost_report}[?page=<p>]
+ *       x-api-key "<name>" → fixtures/admin/<name>/{organization,
+ *       usage_report,cost_report}[-<p>].json
+ *
+ * A name of the form "status-<code>" answers with that HTTP status instead
+ * (429 carries a Retry-After header). Unknown names get 404, an unknown
+ * cookie or key and a missing one get 401, like an expired session.
+ */
+
+import GLib from 'gi://GLib';
+import Soup from 'gi://Soup';
+
+// ─── Constants ───────────────────────────────────────────────────────────────
+
+export const FIXTURES_DIR = GLib.build_filenamev([
+    GLib.path_get_dirname(GLib.filename_from_uri(import.meta.url)[0]), 'fixtures',
+]);
+
+export const RETRY_AFTER_SEC = 30;
+
+const USAGE_PATH = /^\/api\/organizations\/([^/]+)\/rate_limit_status$/;
+
+const ADMIN_PATHS = {
+    '/v1/organizations/me': 'organization',
+    '/v1/organizations/usage_report/messages': 'usage_report',
+    '/v1/organizations/cost_report': 'cost_report',
+};
+
+// ─── Server ──────────────────────────────────────────────────────────────────
+
+export class MockServer {
+    constructor() {
+        this._server = new Soup.Server({});
+        this._server.add_handler('/api', this._handle.bind(this));
+        this._server.add_handler('/v1', this._handleAdmin.bind(this));
+        this.requests = [];   // [{path, cookie, apiKey, query}] in arrival order
+        this.apiBaseUrl = null;
+    }
+
+    /**
+     * Starts listening on localhost.
+     *
+     * @param {number} [port] – 0 picks a free port
+     * @returns {string} claude.ai API base URL to hand to the client; the
+     *   Admin API base is in `apiBaseUrl` afterwards
+     */
+    start(port = 0) {
+        this._server.listen_local(port, Soup.ServerListenOptions.IPV4_ONLY);
+        const uri = this._server.get_uris()[0];
+        this.apiBaseUrl = `http://127.0.0.1:${uri.get_port()}`;
+        return `${this.apiBaseUrl}/api`;
+    }
+
+    stop() {
+        this._server.disconnect();
+    }
+
+    _handle(server, msg, path) {
+        const cookie = msg.get_request_headers().get_one('Cookie');
+        this.requests.push({path, cookie});
+
+        const session = /(?:^|;\s*)sessionKey=([^;]+)/.exec(cookie ?? '')?.[1];
+        if (!session) {
+            _respond(msg, 401, '{"error": "unauthorized"}');
+            return;
+        }
+
+        if (path === '/api/auth/current_account') {
+            _serveScenario(msg, 'account', session, 401);
+            return;
+        }
+
+        const usage = USAGE_PATH.exec(path);
+        if (usage) {
+            _serveScenario(msg, 'usage', decodeURIComponent(usage[1]), 404);
+            return;
+        }
+
+        _respond(msg, 404, '{"error": "not found"}');
+    }
+
+    _handleAdmin(server, msg, path, query) {
+        const apiKey = msg.get_request_headers().get_one('x-api-key');
+        this.requests.push({path, apiKey, query});
+
+        const fixture = ADMIN_PATHS[path];
+        if (!apiKey || !/^[\w-]+$/.test(apiKey)) {
+            _respond(msg, 401, '{"error": "unauthorized"}');
+        } else if (!fixture) {
+            _respond(msg, 404, '{"error": "not found"}');
+        } else if (apiKey.startsWith('status-')) {
+            _serveScenario(msg, 'admin', apiKey, 404);
+        } else {
+            const page = query?.page;
+            _serveScenario(msg, `admin/${apiKey}`, page ? `${fixture}-${page}` : fixture, 401);
+        }
+    }
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+/** Reads a fixture file; null if it does not exist. */
+export function readFixture(dir, name) {
+    try {
+        const [, bytes] = GLib.file_get_contents(
+            GLib.build_filenamev([FIXTURES_DIR, dir, `${name}.json`]));
+        return new TextDecoder().decode(bytes);
+    } catch (_e) {
+        return null;
+    }
+}
+
+function _serveScenario(msg, dir, name, missingStatus) {
+    const status = /^status-(\d{3})$/.exec(name);
+    if (status) {
+        const code = Number(status[1]);
+        if (code === 429) {
+            msg.get_response_headers().append('Retry-After', String(RETRY_AFTER_SEC));
+        }
+        _respond(msg, code, `{"error": "status ${code}"}`);
+        return;
+    }
+
+    const body = readFixture(dir, name);
+    if (body === null) {
+        _respond(msg, missingStatus, `{"error": "no fixture ${dir}/${name}"}`);
+        return;
+    }
+    _respond(msg, 200, body);
+}
+
+function _respond(msg, status, body) {
+    msg.set_status(status, null);
+    msg.set_response('application/json', Soup.MemoryUse.COPY,
+        new TextEncoder().encode(body));
+}
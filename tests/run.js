@@ -0,0 +1,26 @@
+/**
+ * Claude Token Monitor – test entry point
+ *
+ *   gjs -m tests/run.js        (or: make check)
+ *
+ * Runs offline against tests/mock-server.js; needs gjs, Soup 3 and the
+ * libsecret typelib only, no GNOME Shell session.
+ */
+
+import 'gi://Soup?version=3.0';
+import System from 'system';
+
+import {run} from './harness.js';
+import './test-parser.js';
+import './test-client.js';
+import './test-local.js';
+import './test-api.js';
+import './test-export.js';
+import './test-levels.js';
+import './test-report.js';
+import './test-browser.js';
+import './test-alerts.js';
+import './test-projection.js';
+import './test-history.js';
+
+System.exit(run());
@@ -0,0 +1,34 @@
+/**
+ * Claude Token Monitor – run the mock API standalone
+ *
+ *   gjs -m tests/serve.js [port]
+ *
+ * Then point the extension at it and use a fixture name as the cookie, e.g.
+ * "memberships" (two orgs, each served from its usage fixture):
+ *
+ *   gsettings set org.gnome.shell.extensions.claude-tokens base-url \
+ *       http://127.0.0.1:8089/api
+ *
+ * For the Admin API source, use "team" as the Admin API key and:
+ *
+ *   gsettings set org.gnome.shell.extensions.claude-tokens api-base-url \
+ *       http://127.0.0.1:8089
+ */
+
+import GLib from 'gi://GLib';
+import 'gi://Soup?version=3.0';
+import System from 'system';
+
+import {MockServer} from './mock-server.js';
+
+const port = Number(System.programArgs[0] ?? 8089);
+const server = new MockServer();
+print(`Serving fixtures at ${server.start(port)} – Ctrl+C to stop`);
+
+const loop = new GLib.MainLoop(null, false);
+GLib.unix_signal_add(GLib.PRIORITY_DEFAULT, 2 /* SIGINT */, () => {
+    server.stop();
+    loop.quit();
+    return GLib.SOURCE_REMOVE;
+});
+loop.run();
@@ -0,0 +1,64 @@
+/**
+ * Notification detection tests: thresholds crossed, periods and resets.
+ */
+
+import {test, assert} from './harness.js';
+import {advance} from '../alerts.js';
+
+const THRESHOLDS = [50, 80, 100];
+const RESET = '2026-03-02T15:00:00Z';
+const NEXT  = '2026-03-02T20:00:00Z';
+
+const quota = (used, reset = RESET) => ({used, limit: 100, reset});
+
+test('the highest threshold crossed fires once', () => {
+    let r = advance(undefined, quota(85), THRESHOLDS);
+    assert.equal(r.threshold, 80);
+    assert.deepEqual(r.state, {notified: 80, depleted: false, used: 85, reset: RESET});
+
+    r = advance(r.state, quota(90), THRESHOLDS);
+    assert.equal(r.threshold, null);
+    r = advance(r.state, quota(100), THRESHOLDS);
+    assert.equal(r.threshold, 100);
+    assert.ok(r.state.depleted);
+    assert.equal(r.reset, false);
+});
+
+test('nothing fires below the lowest threshold', () => {
+    const r = advance(undefined, quota(49), THRESHOLDS);
+    assert.equal(r.threshold, null);
+    assert.equal(r.state.notified, 0);
+});
+
+test('a depleted quota reports a reset when its period ends', () => {
+    const full = advance(undefined, quota(100), THRESHOLDS).state;
+    const r = advance(full, quota(3, NEXT), THRESHOLDS);
+    assert.ok(r.reset);
+    assert.equal(r.threshold, null);
+    assert.deepEqual(r.state, {notified: 0, depleted: false, used: 3, reset: NEXT});
+});
+
+test('a new period without depletion re-arms the thresholds quietly', () => {
+    const st = advance(undefined, quota(60), THRESHOLDS).state;
+    let r = advance(st, quota(60, NEXT), THRESHOLDS);
+    assert.equal(r.reset, false);
+    assert.equal(r.threshold, 50);
+
+    // Usage dropping counts as a new period even with the same reset time
+    r = advance(r.state, quota(10, NEXT), THRESHOLDS);
+    assert.equal(r.state.notified, 0);
+});
+
+test('reset times jittering by seconds keep the period', () => {
+    const full = advance(undefined, quota(100), THRESHOLDS).state;
+    const r = advance(full, quota(100, '2026-03-02T15:00:30Z'), THRESHOLDS);
+    assert.equal(r.reset, false);
+    assert.equal(r.threshold, null);
+    assert.ok(r.state.depleted);
+});
+
+test('a missing reset time only ends the period on a usage drop', () => {
+    const full = advance(undefined, quota(100, null), THRESHOLDS).state;
+    assert.equal(advance(full, quota(100, RESET), THRESHOLDS).reset, false);
+    assert.ok(advance(full, quota(0, null), THRESHOLDS).reset);
+});
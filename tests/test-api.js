@@ -0,0 +1,108 @@
+/**
+ * Admin API provider tests: report totals, paging and error handling against
+ * the mock server.
+ */
+
+import Soup from 'gi://Soup';
+
+import {test, assert, guard} from './harness.js';
+import {MockServer, readFixture} from './mock-server.js';
+import * as Api from '../api.js';
+
+const server = new MockServer();
+server.start();
+
+const settings = {
+    get_string: key => (key === 'api-base-url' ? server.apiBaseUrl : ''),
+    get_double: key => (key === 'api-monthly-budget' ? 100 : 0),
+};
+
+const report = name => JSON.parse(readFixture('admin/team', name)).data;
+
+/** id → [used, limit] */
+const summary = result => Object.fromEntries(
+    result.usage.quotas.map(q => [q.id, [q.used, q.limit]]));
+
+// ─── Reports ─────────────────────────────────────────────────────────────────
+
+test('usage and cost buckets add up per day and month', () => {
+    const usage = [...report('usage_report'), ...report('usage_report-page_2')];
+    const totals = Api.summarizeReports(usage, report('cost_report'),
+        Date.parse('2026-10-19T15:00:00Z'));
+    assert.equal(totals.tokensToday, 75000);
+    assert.equal(totals.tokensMonth, 515000);
+    assert.equal(totals.spendMonth, 15.5);
+});
+
+test('tokens are split per model', () => {
+    const usage = [...report('usage_report'), ...report('usage_report-page_2')];
+    const {modelsToday, modelsMonth} = Api.summarizeReports(usage, [],
+        Date.parse('2026-10-19T15:00:00Z'));
+    assert.deepEqual(modelsMonth, [
+        {name: 'claude-sonnet-4-5-20250929', input: 120000, output: 40000, cacheRead: 250000, cacheWrite: 30000},
+        {name: 'claude-opus-4-1-20250805', input: 50000, output: 15000, cacheRead: 0, cacheWrite: 10000},
+    ]);
+    assert.deepEqual(modelsToday.map(m => m.name), ['claude-opus-4-1-20250805']);
+});
+
+test('the month starts at midnight UTC on the first', () => {
+    assert.equal(Api.monthStart(Date.parse('2026-10-19T15:00:00Z')), Date.parse('2026-10-01T00:00:00Z'));
+});
+
+// ─── Provider ────────────────────────────────────────────────────────────────
+
+test('polls both reports, following pages', done => {
+    const provider = new Api.ApiProvider(settings, new Soup.Session());
+    provider.setKey('team');
+    provider.poll(guard(done, (results, err) => {
+        assert.equal(err, null);
+        assert.equal(results.length, 1);
+        assert.deepEqual(results[0].org, {uuid: Api.API_ORG_ID, name: 'Acme Research'});
+
+        const quotas = summary(results[0]);
+        assert.deepEqual(quotas.spend_api, [15.5, 100]);
+        assert.deepEqual(quotas.monthly_api, [515000, 0]);
+
+        const paths = server.requests.map(r => r.path);
+        assert.equal(paths.filter(p => p.endsWith('usage_report/messages')).length, 2);
+        assert.equal(server.requests.at(-2).query.page, 'page_2');
+        assert.equal(server.requests.at(-2).query['group_by[]'], 'model');
+        assert.equal(server.requests.at(-1).apiKey, 'team');
+        done();
+    }));
+});
+
+test('the reports are not fetched again on every poll', done => {
+    const provider = new Api.ApiProvider(settings, new Soup.Session());
+    provider.setKey('team');
+    provider.poll(guard(done, (_results, err) => {
+        assert.equal(err, null);
+        const count = server.requests.length;
+        provider.poll(guard(done, (results, err2) => {
+            assert.equal(err2, null);
+            assert.deepEqual(summary(results[0]).spend_api, [15.5, 100]);
+            assert.equal(server.requests.length, count);
+            done();
+        }));
+    }));
+});
+
+test('a rejected key is an authentication failure', done => {
+    const provider = new Api.ApiProvider(settings, new Soup.Session());
+    provider.setKey('expired');
+    provider.poll(guard(done, (results, err) => {
+        assert.equal(results.length, 0);
+        assert.equal(err.kind, 'auth');
+        done();
+    }));
+});
+
+test('a missing key asks for setup instead of polling', done => {
+    const before = server.requests.length;
+    const provider = new Api.ApiProvider(settings, new Soup.Session());
+    provider.poll(guard(done, (results, err) => {
+        assert.equal(err.kind, 'config');
+        assert.equal(server.requests.length, before);
+        done();
+    }));
+});
@@ -0,0 +1,61 @@
+/**
+ * Browser import tests: the in-process AES-128-CBC used for Chromium
+ * cookie values, profile discovery and picking the cookie to use.
+ */
+
+import {test, assert} from './harness.js';
+import * as Browser from '../browser.js';
+
+const hex = text => Uint8Array.from(text.match(/../g), b => parseInt(b, 16));
+
+const KEY = hex('0f1e2d3c4b5a69788796a5b4c3d2e1f0');
+const IV  = new Uint8Array(16).fill(0x20);
+
+// openssl enc -aes-128-cbc -K 0f1e…f0 -iv 2020…20
+const CIPHERTEXT = hex('fd3773b8fa3e6f85fb73a9c7d6c28391a44f06b2f02ce172e5ac226f' +
+    '3a3e06667cf8bd4bbc48b7f42f7263c91eb5b13d');
+
+test('Chromium cookie values decrypt in-process', () => {
+    const plain = Browser.decryptAes128Cbc(KEY, IV, CIPHERTEXT);
+    assert.equal(new TextDecoder().decode(plain), 'sk-ant-REDACTED');
+});
+
+test('a wrong key or a truncated value gives null', () => {
+    const wrong = KEY.slice();
+    wrong[0] ^= 1;
+    assert.equal(Browser.decryptAes128Cbc(wrong, IV, CIPHERTEXT), null);
+    assert.equal(Browser.decryptAes128Cbc(KEY, IV, CIPHERTEXT.slice(0, 20)), null);
+    assert.equal(Browser.decryptAes128Cbc(KEY, IV, new Uint8Array()), null);
+});
+
+test('Chromium profiles are told apart from other config dirs', () => {
+    assert.ok(Browser.isChromiumProfile('Default'));
+    assert.ok(Browser.isChromiumProfile('Profile 3'));
+    assert.ok(!Browser.isChromiumProfile('Crashpad'));
+    assert.ok(!Browser.isChromiumProfile('System Profile'));
+});
+
+test('cookie stores are looked for where each browser keeps them', () => {
+    assert.deepEqual(Browser.storePaths('firefox', '/h/.mozilla/firefox', 'ab12.default'),
+        ['/h/.mozilla/firefox/ab12.default/cookies.sqlite']);
+    assert.deepEqual(Browser.storePaths('chromium', '/c/chromium', 'Default'),
+        ['/c/chromium/Default/Network/Cookies', '/c/chromium/Default/Cookies']);
+});
+
+test('cookie expiries convert to epoch ms', () => {
+    const expires = Date.parse('2026-04-01T00:00:00Z');
+    assert.equal(Browser.firefoxExpiry(String(expires / 1000)), expires);
+    assert.equal(Browser.firefoxExpiry(String(expires)), expires);
+    // Microseconds since 1601-01-01
+    assert.equal(Browser.chromiumExpiry(String((expires + 11644473600000) * 1000)), expires);
+});
+
+test('the latest login comes first and duplicates are dropped', () => {
+    const cookies = [
+        {value: 'a', expires: 10, browser: 'Firefox'},
+        {value: 'b', expires: 30, browser: 'Chromium'},
+        {value: 'a', expires: 20, browser: 'Brave'},
+    ];
+    assert.deepEqual(Browser.latestCookies(cookies).map(c => [c.value, c.browser]),
+        [['b', 'Chromium'], ['a', 'Brave']]);
+});
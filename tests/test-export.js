@@ -0,0 +1,65 @@
+/**
+ * Export tests: CSV / JSON of history samples and the Markdown summary.
+ */
+
+import {test, assert} from './harness.js';
+import * as Export from '../export.js';
+
+const at = iso => Date.parse(iso);
+
+const SAMPLES = [
+    {time: at('2026-10-18T23:30:00Z'), org: 'org-1', quotas: {session: {used: 1000, limit: 200000}}},
+    {time: at('2026-10-19T09:15:00Z'), org: 'org-1',
+        quotas: {session: {used: 120000, limit: 200000}, weekly: {used: 900000, limit: 5000000}}},
+    {time: at('2026-10-19T09:20:00Z'), org: 'local', quotas: {session_local: {used: 150, limit: 0}}},
+];
+
+const NAMES = {'org-1': 'Acme, Inc.', local: 'Claude Code logs'};
+
+// ─── Samples ─────────────────────────────────────────────────────────────────
+
+test('the range includes its start and excludes its end', () => {
+    const picked = Export.samplesInRange(SAMPLES, at('2026-10-19T00:00:00Z'), at('2026-10-19T09:20:00Z'));
+    assert.deepEqual(picked.map(s => s.time), [at('2026-10-19T09:15:00Z')]);
+});
+
+test('CSV has one row per sample and quota, with quoted names', () => {
+    const lines = Export.toCsv(SAMPLES.slice(1), NAMES).trim().split('\n');
+    assert.deepEqual(lines, [
+        'time,org,org_name,quota,used,limit',
+        '2026-10-19T09:15:00.000Z,org-1,"Acme, Inc.",session,120000,200000',
+        '2026-10-19T09:15:00.000Z,org-1,"Acme, Inc.",weekly,900000,5000000',
+        '2026-10-19T09:20:00.000Z,local,Claude Code logs,session_local,150,0',
+    ]);
+});
+
+test('JSON keeps the quotas and records the range', () => {
+    const from = at('2026-10-19T00:00:00Z');
+    const data = JSON.parse(Export.toJson(SAMPLES.slice(2), NAMES, from, from + 86400000));
+    assert.equal(data.from, '2026-10-19T00:00:00.000Z');
+    assert.deepEqual(data.samples, [{
+        time: '2026-10-19T09:20:00.000Z',
+        org: 'local',
+        orgName: 'Claude Code logs',
+        quotas: {session_local: {used: 150, limit: 0}},
+    }]);
+});
+
+// ─── Summary ─────────────────────────────────────────────────────────────────
+
+test('the summary is a Markdown table of the shown quotas', () => {
+    const text = Export.summaryMarkdown('Acme', [
+        {id: 'session', kind: 'session', scope: null, used: 120000, limit: 200000,
+            reset: '2026-10-19T14:00:00Z'},
+        {id: 'spend_api', kind: 'spend', scope: 'api', unit: 'usd', used: 15.5, limit: 100, reset: null},
+        {id: 'monthly_api', kind: 'monthly', scope: 'api', used: 515000, limit: 0, reset: null},
+    ], at('2026-10-19T10:00:00Z'));
+    const lines = text.trim().split('\n');
+
+    assert.ok(lines[0].startsWith('### Claude usage – Acme ('), lines[0]);
+    assert.equal(lines[2], '| Window | Used | Limit | % | Resets |');
+    assert.equal(lines.length, 7);
+    assert.ok(lines[4].startsWith('| 5-hour window | ') && lines[4].includes(' | 60% | '), lines[4]);
+    assert.equal(lines[5], '| Spend this month (API) | $15.50 | $100.00 | 16% | – |');
+    assert.ok(lines[6].includes('| – | – | – |'), lines[6]);
+});
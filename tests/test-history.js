@@ -0,0 +1,68 @@
+/**
+ * History file tests: parsing, old-format lines, retention and compaction.
+ */
+
+import {test, assert} from './harness.js';
+import {parseSamples, compactSamples} from '../history.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const MIN = 60 * 1000;
+const NOW = Date.parse('2026-03-02T12:00:00Z');
+
+const sample = (time, org = 'org-a', used = 1) => ({time, org, quotas: {session: {used, limit: 100}}});
+
+// ─── Parsing ─────────────────────────────────────────────────────────────────
+
+test('samples are parsed and sorted by time', () => {
+    const text = [
+        JSON.stringify(sample(NOW)),
+        '',
+        JSON.stringify(sample(NOW - MIN)),
+    ].join('\n');
+    assert.deepEqual(parseSamples(text).map(s => s.time), [NOW - MIN, NOW]);
+});
+
+test('broken lines and lines without a time are skipped', () => {
+    const text = [
+        '{"time": 1, "org": "a", "quotas": {}}',
+        '{"time": 2, "org": "a", "quo',
+        '{"org": "a", "quotas": {}}',
+        'null',
+    ].join('\n');
+    assert.deepEqual(parseSamples(text), [{time: 1, org: 'a', quotas: {}}]);
+});
+
+test('old-format lines are lifted into quotas', () => {
+    const text = '{"time": 5, "org": "a", "session": {"used": 3, "limit": 10}}\n' +
+        '{"time": 6, "org": "a", "weekly": {"used": 1, "limit": 9}}\n';
+    assert.deepEqual(parseSamples(text), [
+        {time: 5, org: 'a', quotas: {session: {used: 3, limit: 10}}},
+        {time: 6, org: 'a', quotas: {weekly: {used: 1, limit: 9}}},
+    ]);
+});
+
+// ─── Compaction ──────────────────────────────────────────────────────────────
+
+test('samples past the retention are dropped', () => {
+    const samples = [sample(NOW - 31 * DAY), sample(NOW - 29 * DAY), sample(NOW)];
+    assert.deepEqual(compactSamples(samples, NOW, 30, 60).map(s => s.time),
+        [NOW - 29 * DAY, NOW]);
+});
+
+test('old samples keep the latest one per org and 15 minutes', () => {
+    // A 15-minute bucket boundary, 10 days back
+    const base = Math.floor((NOW - 10 * DAY) / (15 * MIN)) * 15 * MIN;
+    const samples = [
+        sample(base, 'org-a', 1),
+        sample(base, 'org-b', 7),
+        sample(base + 5 * MIN, 'org-a', 2),
+        sample(base + 14 * MIN, 'org-a', 3),
+        sample(base + 15 * MIN, 'org-a', 4),
+        sample(NOW - MIN, 'org-a', 5),
+        sample(NOW, 'org-a', 6),
+    ];
+    const kept = compactSamples(samples, NOW, 30, 7);
+    assert.deepEqual(kept.map(s => [s.org, s.quotas.session.used]), [
+        ['org-a', 3], ['org-b', 7], ['org-a', 4], ['org-a', 5], ['org-a', 6],
+    ]);
+});
@@ -0,0 +1,110 @@
+/**
+ * Level rule tests: default and per-window thresholds, pacing, palettes.
+ */
+
+import {test, assert} from './harness.js';
+import * as Levels from '../levels.js';
+import * as Projection from '../projection.js';
+
+/** Settings stub with the schema defaults, overridden by `values` */
+function settings(values = {}) {
+    const all = {
+        'warning-threshold': 80,
+        'critical-threshold': 100,
+        'level-thresholds': '{}',
+        'pace-margin': 10,
+        'color-palette': 'adwaita',
+        'custom-colors': ['#3584e4', '#e5a50a', '#e01b24'],
+        'panel-variant': 'dark',
+        ...values,
+    };
+    return {get_int: key => all[key], get_string: key => all[key], get_strv: key => all[key]};
+}
+
+const quota = (id, used, limit = 100) => ({id, used, limit});
+
+// ─── Thresholds ──────────────────────────────────────────────────────────────
+
+test('the default levels are 80 % and 100 %', () => {
+    const rules = new Levels.LevelRules(settings());
+    assert.equal(rules.level(quota('session', 79)), 'normal');
+    assert.equal(rules.level(quota('session', 80)), 'warning');
+    assert.equal(rules.level(quota('session', 100)), 'critical');
+    assert.equal(rules.level(quota('monthly_api', 5000, 0)), null);
+});
+
+test('a window can have its own levels', () => {
+    const rules = new Levels.LevelRules(settings({'level-thresholds': '{"weekly": {"warning": 60}}'}));
+    assert.equal(rules.level(quota('weekly', 65)), 'warning');
+    assert.equal(rules.level(quota('session', 65)), 'normal');
+    assert.deepEqual(rules.thresholds('weekly'), {warning: 60, critical: 100});
+});
+
+test('the worst level wins, windows without a limit are ignored', () => {
+    const rules = new Levels.LevelRules(settings());
+    assert.equal(rules.worst([quota('session', 10), quota('weekly', 85), quota('x', 1, 0)]), 'warning');
+    assert.equal(rules.worst([]), 'normal');
+});
+
+test('malformed overrides are dropped', () => {
+    assert.deepEqual(Levels.parseThresholds('not json'), {});
+    assert.deepEqual(Levels.parseThresholds('[1]'), {});
+    assert.deepEqual(Levels.parseThresholds('{"a": {"warning": "x"}, "b": {"critical": 90}}'),
+        {b: {critical: 90}});
+    assert.deepEqual(Levels.parseThresholds('{"a": {"warning": 90, "critical": 90}, "b": {"warning": 95}}'),
+        {b: {warning: 95}});
+});
+
+// ─── Pacing ──────────────────────────────────────────────────────────────────
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW    = Date.parse('2026-10-19T12:00:00Z');
+
+test('the pace target grows evenly over the window', () => {
+    // Day 2 of 7: 5 days until the reset
+    const reset = new Date(NOW + 5 * DAY_MS).toISOString();
+    const pace = Projection.pace(60, 100, reset, Projection.WINDOW_MS.weekly, NOW);
+    assert.equal(Math.round(pace.target * 100), 29);
+    assert.equal(Math.round(pace.delta * 100), 31);
+
+    const late = new Date(NOW + DAY_MS).toISOString();
+    assert.ok(Projection.pace(60, 100, late, Projection.WINDOW_MS.weekly, NOW).delta < 0);
+});
+
+test('no pace without a limit, window length or upcoming reset', () => {
+    const reset = new Date(NOW + DAY_MS).toISOString();
+    assert.equal(Projection.pace(60, 0, reset, Projection.WINDOW_MS.weekly, NOW), null);
+    assert.equal(Projection.pace(60, 100, reset, Projection.WINDOW_MS.monthly, NOW), null);
+    assert.equal(Projection.pace(60, 100, null, Projection.WINDOW_MS.weekly, NOW), null);
+    assert.equal(Projection.pace(60, 100, new Date(NOW - 1).toISOString(),
+        Projection.WINDOW_MS.weekly, NOW), null);
+});
+
+test('being ahead of pace raises the level', () => {
+    const rules = new Levels.LevelRules(settings({'pace-margin': 15}));
+    assert.equal(rules.paceLevel({target: 0.5, delta: 0.1}), 'normal');
+    assert.equal(rules.paceLevel({target: 0.2, delta: 0.15}), 'warning');
+    assert.equal(rules.paceLevel({target: 0.2, delta: 0.3}), 'critical');
+    assert.equal(rules.paceLevel({target: 0.9, delta: -0.4}), 'normal');
+    assert.equal(rules.paceLevel(null), 'normal');
+
+    assert.equal(Levels.higher('warning', rules.paceLevel({target: 0.2, delta: 0.3})), 'critical');
+    assert.equal(Levels.higher('warning', 'normal'), 'warning');
+    assert.equal(Levels.higher(null, 'normal'), 'normal');
+});
+
+// ─── Colours ─────────────────────────────────────────────────────────────────
+
+test('colours follow the palette and panel variant', () => {
+    const light = new Levels.LevelRules(settings({'color-palette': 'viridis', 'panel-variant': 'light'}));
+    assert.equal(light.color('warning'), Levels.PALETTES.viridis.light[1]);
+
+    const custom = new Levels.LevelRules(settings({
+        'color-palette': 'custom',
+        'custom-colors': ['#000000', '#111111', '#222222'],
+    }));
+    assert.equal(custom.color('critical'), '#222222');
+
+    const unknown = new Levels.LevelRules(settings({'color-palette': 'nope'}));
+    assert.equal(unknown.color('normal'), Levels.PALETTES.adwaita.dark[0]);
+});
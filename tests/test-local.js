@@ -0,0 +1,149 @@
+/**
+ * Local log provider tests: log line parsing, the 5-hour / 7-day windows and
+ * tailing a Claude Code project directory.
+ */
+
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+
+import {test, assert, guard} from './harness.js';
+import {FIXTURES_DIR} from './mock-server.js';
+import * as Local from '../local.js';
+
+const [, bytes] = GLib.file_get_contents(
+    GLib.build_filenamev([FIXTURES_DIR, 'local', 'session.jsonl']));
+const LINES = new TextDecoder().decode(bytes).trim().split('\n');
+
+const entries = () => LINES
+    .map(line => Local.parseLogLine(line, 'fallback'))
+    .filter(e => e !== null);
+
+const at = iso => Date.parse(iso);
+const sum = list => list.reduce((t, e) => t + Local.entryTokens(e), 0);
+
+// ─── Parsing ─────────────────────────────────────────────────────────────────
+
+test('assistant lines become usage entries, everything else is skipped', () => {
+    const parsed = entries();
+    assert.equal(parsed.length, 4);
+    assert.deepEqual(parsed[0], {
+        key: 'msg_01:req_01',
+        time: at('2026-10-19T09:12:04.000Z'),
+        model: 'claude-sonnet-4-5',
+        project: 'app',
+        input: 1200,
+        output: 300,
+        cacheRead: 0,
+        cacheWrite: 5000,
+    });
+    assert.equal(Local.entryTokens(parsed[0]), 6500);
+});
+
+test('a rewritten streaming message keeps its key', () => {
+    const parsed = entries();
+    assert.equal(parsed[1].key, parsed[0].key);
+});
+
+test('missing cache counts are zero', () => {
+    const last = entries().at(-1);
+    assert.equal(last.cacheRead, 0);
+    assert.equal(last.cacheWrite, 0);
+    assert.equal(Local.entryTokens(last), 150);
+});
+
+// ─── Windows ─────────────────────────────────────────────────────────────────
+
+test('a 5-hour window starts at the full hour of its first message', () => {
+    const block = Local.currentBlock(entries(), at('2026-10-19T10:00:00Z'));
+    assert.deepEqual(block, {start: at('2026-10-19T09:00:00Z'), end: at('2026-10-19T14:00:00Z')});
+});
+
+test('a message after the window ended opens the next one', () => {
+    const block = Local.currentBlock(entries(), at('2026-10-19T15:00:00Z'));
+    assert.equal(block.start, at('2026-10-19T14:00:00Z'));
+    assert.equal(Local.currentBlock(entries(), at('2026-10-19T20:00:00Z')), null);
+});
+
+test('session and weekly windows add up their entries', () => {
+    const win = Local.windowEntries(entries(), at('2026-10-19T15:00:00Z'));
+    assert.equal(sum(win.session), 150);
+    assert.equal(win.sessionReset, at('2026-10-19T19:00:00Z'));
+    assert.equal(win.weekly.length, 4);
+    assert.equal(Local.windowEntries(entries(), at('2026-10-27T15:00:00Z')).weekly.length, 0);
+});
+
+test('the breakdown splits tokens per model and project', () => {
+    const {models, projects} = Local.breakdown(entries().slice(1));
+    assert.deepEqual(models.map(m => [m.name, Local.entryTokens(m)]), [
+        ['claude-sonnet-4-5', 6650],
+        ['claude-opus-4-1', 7300],
+    ]);
+    assert.deepEqual(projects, [
+        {name: 'app', input: 2100, output: 1850, cacheRead: 5000, cacheWrite: 5000},
+    ]);
+});
+
+// ─── Provider ────────────────────────────────────────────────────────────────
+
+/** The fixture, moved so that its last message was ten minutes ago */
+function recentLog() {
+    const shift = Date.now() - 10 * 60 * 1000 - at('2026-10-19T14:30:00.000Z');
+    return LINES.map(line => line.replace(/"timestamp":"([^"]+)"/, (_m, iso) =>
+        `"timestamp":"${new Date(Date.parse(iso) + shift).toISOString()}"`)).join('\n') + '\n';
+}
+
+const configDir = GLib.dir_make_tmp('claude-tokens-XXXXXX');
+const projectDir = GLib.build_filenamev([configDir, 'projects', '-home-maki-src-app']);
+const logPath = GLib.build_filenamev([projectDir, '5f1c0a9e.jsonl']);
+GLib.mkdir_with_parents(projectDir, 0o755);
+GLib.file_set_contents(logPath, recentLog());
+
+const settings = {get_int64: key => (key === 'local-session-limit' ? 20000 : 0)};
+let provider = null;
+let onChanged = () => {};
+
+test('reads existing logs once, without duplicates', done => {
+    GLib.setenv('CLAUDE_CONFIG_DIR', configDir, true);
+    onChanged = guard(done, () => {
+        onChanged = () => {};
+        provider.poll(guard(done, (results, err) => {
+            assert.equal(err, null);
+            assert.equal(results.length, 1);
+            assert.equal(results[0].org.uuid, Local.LOCAL_ORG_ID);
+
+            const [session, weekly] = results[0].usage.quotas;
+            assert.deepEqual([session.id, session.used, session.limit], ['session_local', 150, 20000]);
+            assert.deepEqual([weekly.id, weekly.used, weekly.limit], ['weekly_local', 13950, 0]);
+            assert.ok(session.reset, 'the 5-hour window has a reset time');
+            done();
+        }));
+    });
+    provider = new Local.LocalProvider(settings, () => onChanged());
+    assert.equal(provider.path, GLib.build_filenamev([configDir, 'projects']));
+});
+
+test('picks up appended lines', done => {
+    const line = JSON.stringify({
+        cwd: '/home/maki/src/app',
+        type: 'assistant',
+        message: {id: 'msg_04', model: 'claude-sonnet-4-5', usage: {input_tokens: 1000, output_tokens: 0}},
+        requestId: 'req_04',
+        timestamp: new Date().toISOString(),
+    });
+    onChanged = guard(done, () => {
+        onChanged = () => {};
+        provider.poll(guard(done, results => {
+            assert.equal(results[0].usage.quotas[0].used, 1150);
+            provider.destroy();
+            GLib.unsetenv('CLAUDE_CONFIG_DIR');
+            for (const path of [logPath, projectDir, GLib.path_get_dirname(projectDir), configDir]) {
+                Gio.File.new_for_path(path).delete(null);
+            }
+            done();
+        }));
+    });
+
+    const stream = Gio.File.new_for_path(logPath).append_to(Gio.FileCreateFlags.NONE, null);
+    stream.write_all(new TextEncoder().encode(`${line}\n`), null);
+    stream.close(null);
+});
@@ -0,0 +1,122 @@
+/**
+ * Parser tests: every recorded payload shape, the failure modes and the
+ * current_account org resolution.
+ */
+
+import {test, assert} from './harness.js';
+import {readFixture} from './mock-server.js';
+import * as Parser from '../parser.js';
+
+const usage   = name => JSON.parse(readFixture('usage', name));
+const account = name => JSON.parse(readFixture('account', name));
+
+/** [id, used, limit] per quota, for compact comparisons */
+const summary = parsed => parsed.quotas.map(q => [q.id, q.used, q.limit]);
+
+// ─── Usage payload shapes ────────────────────────────────────────────────────
+
+test('rate_limit_status object with per-model entry', () => {
+    const parsed = Parser.parseUsage(usage('rate-limit-status'));
+    assert.equal(parsed.adapter, 'rate-limit-status');
+    assert.deepEqual(summary(parsed), [
+        ['session', 48000, 200000],
+        ['weekly', 1200000, 10000000],
+        ['weekly_opus', 500000, 2000000],
+    ]);
+    assert.equal(parsed.quotas[0].reset, '2026-10-19T16:00:00Z');
+});
+
+test('quota list with a product-scoped weekly quota', () => {
+    const parsed = Parser.parseUsage(usage('quota-list'));
+    assert.equal(parsed.adapter, 'quota-list');
+    assert.deepEqual(summary(parsed), [
+        ['session', 48000, 200000],
+        ['weekly', 1200000, 10000000],
+        ['weekly_claude_code', 300000, 5000000],
+    ]);
+    assert.equal(Parser.quotaShortLabel(parsed.quotas[2]), '7d Code');
+});
+
+test('flat used/limit keys', () => {
+    const parsed = Parser.parseUsage(usage('flat-keys'));
+    assert.equal(parsed.adapter, 'flat-keys');
+    assert.deepEqual(summary(parsed), [
+        ['session', 48000, 200000],
+        ['weekly', 1200000, 10000000],
+    ]);
+    assert.equal(parsed.quotas[0].reset, null);
+});
+
+test('unknown shape raises ParseError naming the keys', () => {
+    const err = assert.throws(() => Parser.parseUsage(usage('unknown')), Parser.ParseError);
+    assert.equal(err.kind, 'unknown');
+    assert.match(err.message, /status, plan/);
+});
+
+test('adapters that disagree raise an ambiguous ParseError', () => {
+    const err = assert.throws(() => Parser.parseUsage(usage('ambiguous')), Parser.ParseError);
+    assert.equal(err.kind, 'ambiguous');
+});
+
+test('malformed JSON fixture does not parse', () => {
+    assert.throws(() => JSON.parse(readFixture('usage', 'malformed')), SyntaxError);
+});
+
+// ─── Custom mapping ──────────────────────────────────────────────────────────
+
+test('custom mapping takes precedence over the adapters', () => {
+    const mapping = {
+        session: {
+            remaining: '$.rate_limit_status.five_hour.remaining',
+            limit: '$.rate_limit_status.five_hour.total',
+        },
+    };
+    assert.equal(Parser.validateMapping(mapping), null);
+
+    const parsed = Parser.parseUsage(usage('rate-limit-status'), mapping);
+    assert.equal(parsed.adapter, 'custom');
+    assert.deepEqual(summary(parsed), [['session', 48000, 200000]]);
+});
+
+test('custom mapping that matches nothing falls back to the adapters', () => {
+    const parsed = Parser.parseUsage(usage('flat-keys'), {session: {percent: '$.nope'}});
+    assert.equal(parsed.adapter, 'flat-keys');
+});
+
+test('invalid mappings are rejected', () => {
+    assert.ok(Parser.validateMapping({Session: {percent: '$.a'}}));
+    assert.ok(Parser.validateMapping({session: {used: '$.a'}}));
+});
+
+// ─── Org resolution ──────────────────────────────────────────────────────────
+
+test('org resolution from memberships, with the plan', () => {
+    assert.deepEqual(Parser.parseAccount(account('memberships')), [
+        {uuid: 'rate-limit-status', name: 'Personal', plan: 'Max 5x'},
+        {uuid: 'quota-list', name: 'Acme Corp'},
+    ]);
+});
+
+test('org resolution from memberships nested under account', () => {
+    assert.deepEqual(Parser.parseAccount(account('nested-memberships')),
+        [{uuid: 'rate-limit-status', name: 'Personal'}]);
+});
+
+test('org resolution from a workspace id', () => {
+    assert.deepEqual(Parser.parseAccount(account('workspace')),
+        [{uuid: 'flat-keys', name: 'Team workspace'}]);
+});
+
+test('org resolution falls back to default_organization', () => {
+    assert.deepEqual(Parser.parseAccount(account('default-organization')),
+        [{uuid: 'rate-limit-status', name: 'Personal'}]);
+});
+
+test('org resolution falls back to organization_uuid', () => {
+    assert.deepEqual(Parser.parseAccount(account('organization-uuid')),
+        [{uuid: 'rate-limit-status', name: 'rate-limit-status'}]);
+});
+
+test('org resolution without any organization', () => {
+    assert.deepEqual(Parser.parseAccount(account('no-organization')), []);
+});
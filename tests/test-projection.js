@@ -0,0 +1,65 @@
+/**
+ * Projection tests: burn rate across resets, minimum span, limit hit time.
+ */
+
+import {test, assert} from './harness.js';
+import * as Projection from '../projection.js';
+
+const NOW = Date.parse('2026-03-02T12:00:00Z');
+const MIN = 60 * 1000;
+const LOOKBACK = Projection.SESSION_LOOKBACK_MS;
+
+/** One history sample `ago` minutes before NOW */
+const sample = (ago, used) => ({time: NOW - ago * MIN, quotas: {session: {used, limit: 1000}}});
+
+// ─── Burn rate ───────────────────────────────────────────────────────────────
+
+test('the burn rate spans the lookback period', () => {
+    const samples = [sample(40, 0), sample(20, 100), sample(10, 150), sample(0, 200)];
+    assert.equal(Projection.burnRate(samples, 'session', NOW, LOOKBACK), 100 / (20 * MIN));
+});
+
+test('the burn rate starts over after a reset', () => {
+    // Usage drops between 10 and 8 minutes ago: only the last three count
+    const samples = [sample(20, 800), sample(10, 900), sample(8, 0), sample(4, 20), sample(0, 60)];
+    assert.equal(Projection.burnRate(samples, 'session', NOW, LOOKBACK), 60 / (8 * MIN));
+
+    // A reset leaving a single sample gives no rate
+    const fresh = [sample(20, 800), sample(10, 900), sample(0, 5)];
+    assert.equal(Projection.burnRate(fresh, 'session', NOW, LOOKBACK), null);
+});
+
+test('the burn rate needs two minutes of samples', () => {
+    assert.equal(Projection.burnRate([sample(1, 10), sample(0, 20)], 'session', NOW, LOOKBACK), null);
+    assert.equal(Projection.burnRate([sample(2, 10), sample(0, 20)], 'session', NOW, LOOKBACK),
+        10 / (2 * MIN));
+    assert.equal(Projection.burnRate([sample(5, 10)], 'session', NOW, LOOKBACK), null);
+    assert.equal(Projection.burnRate([sample(5, 10), sample(0, 20)], 'weekly', NOW, LOOKBACK), null);
+});
+
+// ─── Projection ──────────────────────────────────────────────────────────────
+
+test('the limit is hit before the reset at a high rate', () => {
+    const reset = new Date(NOW + 60 * MIN).toISOString();
+    const p = Projection.project(400, 1000, reset, 20 / MIN, NOW);
+    assert.equal(p.hitTime, NOW + 30 * MIN);
+    assert.ok(p.hitTime < p.resetTime);
+    assert.equal(p.atReset, 1.6);
+});
+
+test('the limit is hit after the reset at a low rate', () => {
+    const reset = new Date(NOW + 60 * MIN).toISOString();
+    const p = Projection.project(400, 1000, reset, 5 / MIN, NOW);
+    assert.equal(p.hitTime, NOW + 120 * MIN);
+    assert.ok(p.hitTime > p.resetTime);
+    assert.equal(p.atReset, 0.7);
+});
+
+test('a projection without rate, limit or reset', () => {
+    const reset = new Date(NOW + 60 * MIN).toISOString();
+    assert.deepEqual(Projection.project(400, 1000, reset, null, NOW),
+        {rate: null, hitTime: null, resetTime: NOW + 60 * MIN, atReset: null});
+    assert.equal(Projection.project(1000, 1000, reset, 0, NOW).hitTime, NOW);
+    assert.equal(Projection.project(400, 0, reset, 5 / MIN, NOW).hitTime, null);
+    assert.equal(Projection.project(400, 1000, null, 5 / MIN, NOW).atReset, null);
+});
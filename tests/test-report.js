@@ -0,0 +1,72 @@
+/**
+ * Usage report tests: consumption across resets, daily and hourly totals,
+ * window periods and the summary.
+ */
+
+import {test, assert} from './harness.js';
+import * as Report from '../report.js';
+
+/** Local time on 2026-10-<day> */
+const at = (day, hour, minute = 0) => new Date(2026, 9, day, hour, minute).getTime();
+
+const sample = (time, used, org = 'acme', limit = 1000) =>
+    ({time, org, quotas: {session: {used, limit}}});
+
+// Two 5-hour windows on the 19th, the second one exhausted, and one on the 20th
+const SAMPLES = [
+    sample(at(19, 9), 100),
+    sample(at(19, 10), 400),
+    sample(at(19, 11), 700),
+    sample(at(19, 15), 200),    // reset: 200 used since
+    sample(at(19, 16), 1000),
+    sample(at(20, 9), 50),
+];
+
+// ─── Consumption ─────────────────────────────────────────────────────────────
+
+test('consumption counts growth, and the usage after a reset', () => {
+    assert.deepEqual(Report.consumption(SAMPLES, 'session').map(e => e.amount),
+        [300, 300, 200, 800, 50]);
+});
+
+test('orgs are followed separately', () => {
+    const mixed = [
+        sample(at(19, 9), 100),
+        sample(at(19, 9, 1), 900, 'other'),
+        sample(at(19, 10), 150),
+        sample(at(19, 10, 1), 950, 'other'),
+    ];
+    assert.deepEqual(Report.consumption(mixed, 'session').map(e => e.amount), [50, 50]);
+});
+
+test('daily and hourly totals', () => {
+    const events = Report.consumption(SAMPLES, 'session');
+    const days = Report.dailyTotals(events);
+    assert.equal(days.get(Report.dayStart(at(19, 12))), 1600);
+    assert.equal(days.get(Report.dayStart(at(20, 12))), 50);
+
+    const hours = Report.hourlyTotals(events);
+    assert.equal(hours[16], 800);
+    assert.equal(hours[9], 50);
+    assert.equal(hours.reduce((a, b) => a + b, 0), 1650);
+});
+
+// ─── Periods and summary ─────────────────────────────────────────────────────
+
+test('window periods split at resets and keep their peak', () => {
+    const periods = Report.windowPeriods(SAMPLES, 'session');
+    assert.deepEqual(periods.map(p => [p.start, p.end, p.peak, p.exhausted]), [
+        [at(19, 9), at(19, 11), 0.7, false],
+        [at(19, 15), at(19, 16), 1, true],
+        [at(20, 9), at(20, 9), 0.05, false],
+    ]);
+});
+
+test('the summary averages over calendar days and finds the busiest hour', () => {
+    const stats = Report.summary(SAMPLES, 'session', at(21, 8));
+    assert.equal(stats.averageDaily, 1650 / 3);
+    assert.equal(stats.peakHour, 16);
+    assert.deepEqual(stats.exhausted, {session: 1});
+    assert.deepEqual(Report.summary([], 'session', at(21, 8)),
+        {averageDaily: null, peakHour: null, exhausted: {}});
+});
@@ -0,0 +1,363 @@
+/**
+ * Claude Token Monitor – claude.ai usage provider
+ *
+ * Reads the subscription rate limits from the claude.ai web API with the
+ * sessionKey cookie of every configured account: resolves the accounts'
+ * organizations once, then fetches `rate_limit_status` of each tracked org
+ * per poll. Accounts that could not be resolved for a passing reason (not a
+ * rejected cookie) are tried again on each poll.
+ *
+ * Usage providers share one shape, so the indicator can poll and show them
+ * side by side (see api.js and local.js for the others):
+ *
+ *   poll(callback)  – one round; callback(results, error) with results
+ *                     [{org: {uuid, name}, usage, payload?}] and usage
+ *                     {org, adapter, quotas, updated}. Results gathered before
+ *                     a failure are passed along with the error.
+ *   destroy()
+ *
+ * check() runs the same requests for the preferences' Test button, which
+ * is why nothing here may import from GNOME Shell.
+ */
+
+import * as Client from './client.js';
+import * as Credentials from './credentials.js';
+import * as Parser from './parser.js';
+
+// ─── Provider ────────────────────────────────────────────────────────────────
+
+export class WebProvider {
+    /**
+     * @param {Gio.Settings} settings
+     * @param {Soup.Session} session
+     * @param {function()} onOrgsChanged – after the org list was (re)resolved
+     * @param {Gio.Cancellable|null} [cancellable] – stops requests in flight
+     */
+    constructor(settings, session, onOrgsChanged, cancellable = null) {
+        this._settings = settings;
+        this._session  = session;
+        this._cancellable = cancellable;
+        this._onOrgsChanged = onOrgsChanged;
+        this._cookies  = new Map();  // account name → sessionKey
+        this._orgs     = null;       // [{uuid, name, account}] once resolved
+        this._accountErrors = new Map();   // account → error of its last resolution
+        this._orgErrors     = new Map();   // org uuid → error of its last fetch
+    }
+
+    /**
+     * New cookies from the keyring; the orgs are resolved again on the next
+     * poll.
+     *
+     * @param {Map<string, string>} cookies – account name → sessionKey
+     */
+    setCookies(cookies) {
+        this._cookies = cookies;
+        this._orgs = null;
+        this._accountErrors.clear();
+        this._orgErrors.clear();
+    }
+
+    /**
+     * @param {string} account
+     * @returns {string|null} the account's sessionKey
+     */
+    cookie(account) {
+        return this._cookies.get(account) ?? null;
+    }
+
+    /** Whether the next poll has to resolve the organizations first */
+    get resolved() {
+        return this._orgs !== null;
+    }
+
+    // ── Organizations ────────────────────────────────────────────────────────
+
+    /** Tracked orgs; an empty `tracked-orgs` list means "all of them". */
+    trackedOrgs() {
+        const orgs    = this._orgs ?? [];
+        const tracked = this._settings.get_strv('tracked-orgs');
+        if (tracked.length === 0) return orgs;
+        return orgs.filter(o => tracked.includes(o.uuid));
+    }
+
+    /**
+     * Why an org could not be fetched in the last poll, or why its account
+     * could not be resolved.
+     *
+     * @param {{uuid: string, account: string}} org
+     * @returns {ClientError|ParseError|null}
+     */
+    orgError(org) {
+        return this._orgErrors.get(org.uuid) ?? this._accountErrors.get(org.account) ?? null;
+    }
+
+    /**
+     * Accounts whose organizations could not be resolved, so they have no
+     * org rows of their own.
+     *
+     * @returns {Map<string, ClientError>} account → error
+     */
+    accountErrors() {
+        return this._accountErrors;
+    }
+
+    /** The org whose usage drives the panel bars. */
+    activeOrg() {
+        const orgs = this.trackedOrgs();
+        const uuid = this._settings.get_string('active-org');
+        return orgs.find(o => o.uuid === uuid) ?? orgs[0] ?? null;
+    }
+
+    // ── Polling ──────────────────────────────────────────────────────────────
+
+    /**
+     * One account's full pipeline, for the preferences' Test button: resolves
+     * its orgs and fetches and parses the usage of the tracked ones (or of
+     * the first). Unlike poll() it leaves the stored org list alone.
+     *
+     * @param {string} account
+     * @param {function(object[], ClientError|ParseError|null)} callback – as for poll()
+     */
+    check(account, callback) {
+        this._fetchAccount(account, (orgs, err) => {
+            if (err) {
+                callback([], err);
+                return;
+            }
+            const tracked = this._settings.get_strv('tracked-orgs');
+            const shown = orgs.filter(o => tracked.includes(o.uuid));
+            this._fetchOrgs(shown.length > 0 ? shown : orgs.slice(0, 1), callback);
+        });
+    }
+
+    /**
+     * Whether a cookie found elsewhere (a browser import) logs in to the
+     * same account: it has to reach one of the orgs the account was last
+     * resolved to. An account never resolved takes it only when it is the
+     * only one configured.
+     *
+     * @param {string} account
+     * @param {string} value – the candidate sessionKey
+     * @param {function(boolean, ClientError|null)} callback
+     */
+    ownsCookie(account, value, callback) {
+        const known = this._knownOrgs().filter(o => o.account === account).map(o => o.uuid);
+        if (known.length === 0 && this._cookies.size > 1) {
+            callback(false, null);
+            return;
+        }
+        this._fetchAccount(account, (orgs, err) => {
+            if (err) {
+                callback(false, err);
+                return;
+            }
+            callback(known.length === 0 || orgs.some(o => known.includes(o.uuid)), null);
+        }, value);
+    }
+
+    poll(callback) {
+        if (!this._orgs) {
+            this._fetchAccounts([...this._cookies.keys()], err => {
+                if (err) {
+                    callback([], err);
+                    return;
+                }
+                this._fetchUsage(callback);
+            });
+            return;
+        }
+
+        const retry = [...this._accountErrors]
+            .filter(([, err]) => err.kind !== 'auth' && err.kind !== 'config')
+            .map(([account]) => account);
+        if (retry.length === 0) {
+            this._fetchUsage(callback);
+            return;
+        }
+        this._fetchAccounts(retry, () => this._fetchUsage(callback));
+    }
+
+    /** GET as `account`, with its stored cookie unless `value` is given */
+    _get(url, account, callback, value = null) {
+        const cookie = Credentials.cookieHeader(value ?? this._cookies.get(account));
+        if (!cookie) {
+            callback(null, new Client.ClientError(
+                'No session cookie configured. Open Settings to add one.', 'config'));
+            return;
+        }
+        Client.getJson(this._session, url, cookie, this._cancellable, (data, err) => {
+            // Lets the indicator re-import the cookie that was rejected
+            if (err) err.account = account;
+            callback(data, err);
+        });
+    }
+
+    /**
+     * Resolves the organizations reachable with the accounts' cookies and
+     * adds them to those already known. One account may belong to several
+     * orgs (e.g. a personal Pro plan and a Team workspace); an org reachable
+     * from two accounts is listed once. An account that fails is kept in
+     * accountErrors() while the others are polled.
+     *
+     * @param {string[]} accounts
+     * @param {function(ClientError|null)} callback – with an error when no
+     *   org is known afterwards
+     */
+    _fetchAccounts(accounts, callback) {
+        if (accounts.length === 0) {
+            callback(new Client.ClientError(
+                'No session cookie configured. Open Settings to add one.', 'config'));
+            return;
+        }
+
+        const orgs = [...this._orgs ?? []];
+        const known = orgs.length;
+        const errors = [];
+
+        const next = i => {
+            if (i < accounts.length) {
+                this._fetchAccount(accounts[i], (found, err) => {
+                    if (err) {
+                        if (this._cookies.size > 1) err.source = accounts[i];
+                        errors.push(err);
+                        this._accountErrors.set(accounts[i], err);
+                    } else {
+                        this._accountErrors.delete(accounts[i]);
+                    }
+                    for (const org of found) {
+                        if (!orgs.some(o => o.uuid === org.uuid)) orgs.push(org);
+                    }
+                    next(i + 1);
+                });
+                return;
+            }
+
+            if (orgs.length === 0) {
+                callback(errors[0]);
+                return;
+            }
+            if (this._orgs && orgs.length === known) {
+                callback(null);
+                return;
+            }
+
+            this._orgs = orgs;
+            this._settings.set_string('known-orgs', JSON.stringify(orgs));
+            this._onOrgsChanged();
+            callback(null);
+        };
+        next(0);
+    }
+
+    _fetchAccount(account, callback, value = null) {
+        const url = Client.accountUrl(Client.baseUrl(this._settings));
+        this._get(url, account, (data, err) => {
+            if (err) { callback([], err); return; }
+
+            const orgs = Parser.parseAccount(data).map(o => ({...o, account}));
+            callback(orgs, orgs.length
+                ? null
+                : new Client.ClientError('Could not resolve organization ID.', 'parse'));
+        }, value);
+    }
+
+    /** The resolved orgs, or those of the last resolution (`known-orgs`) */
+    _knownOrgs() {
+        if (this._orgs) return this._orgs;
+        try {
+            const orgs = JSON.parse(this._settings.get_string('known-orgs'));
+            return Array.isArray(orgs) ? orgs : [];
+        } catch (_) {
+            return [];
+        }
+    }
+
+    /** Fetches every tracked org in turn. */
+    _fetchUsage(callback) {
+        const orgs = this.trackedOrgs();
+        if (orgs.length === 0) {
+            callback([], new Client.ClientError(
+                'No organization selected. Open Settings to pick one.', 'config'));
+            return;
+        }
+        this._fetchOrgs(orgs, callback);
+    }
+
+    /**
+     * Fetches the orgs in turn. One failing does not stop the others; each
+     * error is kept for orgError() and the first is passed on.
+     */
+    _fetchOrgs(orgs, callback) {
+        const results = [];
+        let failure = null;
+        const fail = (org, err) => {
+            this._orgErrors.set(org.uuid, err);
+            failure ??= err;
+        };
+
+        const next = i => {
+            if (i >= orgs.length) {
+                callback(results, failure);
+                return;
+            }
+
+            const org = orgs[i];
+            const url = Client.usageUrl(Client.baseUrl(this._settings), org.uuid);
+            this._get(url, org.account, (data, err) => {
+                if (err) {
+                    if (orgs.length > 1) err.source = org.name;
+                    fail(org, err);
+                    next(i + 1);
+                    return;
+                }
+
+                let parsed;
+                try {
+                    parsed = Parser.parseUsage(data, this._customMapping());
+                } catch (e) {
+                    // Keep the payload: it can be copied from the menu to
+                    // write a custom mapping or a bug report
+                    if (e instanceof Parser.ParseError) {
+                        e.org = org;
+                        e.payload = data;
+                    }
+                    fail(org, e);
+                    next(i + 1);
+                    return;
+                }
+
+                this._orgErrors.delete(org.uuid);
+                results.push({
+                    org,
+                    payload: data,
+                    usage: {
+                        org: org.uuid,
+                        adapter: parsed.adapter,
+                        quotas: parsed.quotas,
+                        updated: new Date().toISOString(),
+                    },
+                });
+                next(i + 1);
+            });
+        };
+        next(0);
+    }
+
+    _customMapping() {
+        const text = this._settings.get_string('custom-quota-mapping').trim();
+        if (!text) return null;
+        let mapping;
+        try {
+            mapping = JSON.parse(text);
+        } catch (e) {
+            throw new Parser.ParseError(`custom mapping is not valid JSON: ${e.message}`, 'mapping');
+        }
+        const err = Parser.validateMapping(mapping);
+        if (err) throw new Parser.ParseError(`custom mapping: ${err}`, 'mapping');
+        return mapping;
+    }
+
+    destroy() {
+        this._cookies = new Map();
+    }
+}